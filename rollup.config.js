@@ -1,25 +1,103 @@
 import terser from "@rollup/plugin-terser";
+import { readFileSync } from "fs";
 
-export default {
-  input: "src/toastify-pro.js",
-  output: [
-    {
-      file: "dist/toastify-pro.umd.js",
-      format: "umd",
-      name: "ToastifyPro",
-      sourcemap: true,
+/**
+ * Emits dist/toastify-pro.css from the stylesheet literal in injectStyles(),
+ * for pages that load the CSS as a file (injectStyles: false)
+ */
+function extractCss() {
+  return {
+    name: "extract-css",
+    generateBundle() {
+      const source = readFileSync("src/toastify-pro.js", "utf8");
+      // The literal ends at the closing backtick before ", this.styleRoot)"
+      const match = source.match(/writeStyleSheet\("toastify-pro-styles", `([\s\S]*?)`, this\.styleRoot\)/);
+      if (!match) {
+        this.error("Could not find the stylesheet in src/toastify-pro.js");
+      }
+
+      // Dedent the template literal's indentation
+      const css = match[1].replace(/^ {4}/gm, "").trim() + "\n";
+      this.emitFile({ type: "asset", fileName: "toastify-pro.css", source: css });
     },
-    {
-      file: "dist/toastify-pro.umd.min.js",
-      format: "umd",
-      name: "ToastifyPro",
-      plugins: [terser()],
+  };
+}
+
+export default [
+  {
+    input: "src/toastify-pro.js",
+    output: [
+      {
+        file: "dist/toastify-pro.umd.js",
+        format: "umd",
+        name: "ToastifyPro",
+        sourcemap: true,
+      },
+      {
+        file: "dist/toastify-pro.umd.min.js",
+        format: "umd",
+        name: "ToastifyPro",
+        plugins: [terser()],
+        sourcemap: true,
+      },
+      {
+        // For require() - the package is "type": "module", so .js files load as ESM
+        file: "dist/toastify-pro.cjs",
+        format: "cjs",
+        sourcemap: true,
+      },
+      {
+        file: "dist/toastify-pro.esm.js",
+        format: "es",
+        // The source is a classic script (no export statement), so add the ESM export here
+        footer: "export default ToastifyPro;",
+        sourcemap: true,
+      }
+    ],
+    plugins: [extractCss()]
+  },
+  {
+    // React bindings (toastify-pro/react) - react, react-dom and the core stay external
+    input: "src/react.js",
+    external: ["react", "react-dom", "toastify-pro"],
+    output: {
+      file: "dist/react.esm.js",
+      format: "es",
       sourcemap: true,
-    },
-    {
-      file: "dist/toastify-pro.esm.js",
+    }
+  },
+  {
+    // Vue plugin (toastify-pro/vue) - vue and the core stay external
+    input: "src/vue.js",
+    external: ["vue", "toastify-pro"],
+    output: {
+      file: "dist/vue.esm.js",
       format: "es",
       sourcemap: true,
     }
-  ]
-};
+  },
+  {
+    // Custom elements (toastify-pro/elements) - the UMD build uses the global ToastifyPro
+    input: "src/elements.js",
+    external: ["toastify-pro"],
+    output: [
+      {
+        file: "dist/elements.esm.js",
+        format: "es",
+        sourcemap: true,
+      },
+      {
+        file: "dist/elements.cjs",
+        format: "cjs",
+        sourcemap: true,
+      },
+      {
+        file: "dist/elements.umd.js",
+        format: "umd",
+        name: "ToastifyProElements",
+        globals: { "toastify-pro": "ToastifyPro" },
+        sourcemap: true,
+      }
+    ]
+  }
+];
@@ -0,0 +1,43 @@
+/**
+ * Type definitions for the ToastifyPro custom elements (toastify-pro/elements)
+ * Hand-maintained - keep in sync with src/elements.js
+ */
+
+import ToastifyPro from 'toastify-pro';
+
+export { ToastifyPro };
+
+/** Detail of the 'toast-dismiss' event */
+export interface ToastDismissDetail {
+  id: string;
+  reason: ToastifyPro.DismissReason;
+}
+
+/** <toastify-pro-toaster> */
+export class ToastifyProToaster extends HTMLElement {
+  /** Instance created from the attributes when the element connects (null before, and after it disconnects) */
+  instance: ToastifyPro | null;
+  show(message: string, type?: ToastifyPro.ToastType, opts?: string | ToastifyPro.ToastOptions): ToastifyPro.ToastHandle | null;
+  dismissAll(type?: ToastifyPro.ToastType | null): void;
+}
+
+/** <toastify-pro-toast> */
+export class ToastifyProToast extends HTMLElement {
+  /** Handle of the toast while it's showing or queued */
+  handle: ToastifyPro.ToastHandle | null;
+  /** Toaster that shows this toast */
+  toaster: ToastifyProToaster | null;
+  /** Shows the toast if it isn't showing and a toaster is available (called on connect) */
+  showToast(): void;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'toastify-pro-toaster': ToastifyProToaster;
+    'toastify-pro-toast': ToastifyProToast;
+  }
+
+  interface HTMLElementEventMap {
+    'toast-dismiss': CustomEvent<ToastDismissDetail>;
+  }
+}
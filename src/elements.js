@@ -0,0 +1,342 @@
+/**
+ * ToastifyPro custom elements - import from 'toastify-pro/elements'
+ * (or load dist/elements.umd.js after dist/toastify-pro.umd.js)
+ *
+ * - <toastify-pro-toaster> owns a ToastifyPro instance configured from its attributes
+ * - <toastify-pro-toast> shows a toast with its content when inserted into a toaster
+ *   (or anywhere in a document with a toaster), and dismisses it when removed
+ * - Dismissals dispatch a bubbling 'toast-dismiss' event with { id, reason }
+ *
+ * @example
+ * <toastify-pro-toaster position="top-right" timeout="5000">
+ *   <toastify-pro-toast type="success" description="report.pdf">Saved</toastify-pro-toast>
+ * </toastify-pro-toaster>
+ */
+
+import ToastifyPro from 'toastify-pro';
+
+// Custom elements need HTMLElement; on the server the classes are defined but never used
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+// Attributes of <toastify-pro-toaster> and how their values are read
+const toasterAttributes = {
+  'position': 'string',
+  'timeout': 'number',
+  'allow-close': 'boolean',
+  'max-length': 'number',
+  'pause-on-hover': 'boolean',
+  'pause-on-focus-within': 'boolean',
+  'pause-on-page-hidden': 'boolean',
+  'pause-on-window-blur': 'boolean',
+  'max-toasts': 'number',
+  'newest-on-top': 'boolean',
+  'dedupe': 'boolean',
+  'overflow': 'string',
+  'priority': 'string',
+  'swipe-to-dismiss': 'boolean',
+  'swipe-threshold': 'number',
+  'history': 'boolean',
+  'history-limit': 'number',
+  'history-bell': 'boolean',
+  'persist': 'boolean-or-string',
+  'broadcast': 'boolean-or-string',
+  'appearance': 'string',
+  'inject-styles': 'boolean-or-string',
+  'style-nonce': 'string',
+  'dir': 'string',
+  'locale': 'string'
+};
+
+// Attributes of <toastify-pro-toast> (besides type and toast-id)
+const toastAttributes = {
+  'description': 'string',
+  'timeout': 'number',
+  'allow-close': 'boolean',
+  'max-length': 'number',
+  'pause-on-hover': 'boolean',
+  'priority': 'string',
+  'overflow': 'string',
+  'dedupe': 'boolean',
+  'dedupe-key': 'string',
+  'swipe-to-dismiss': 'boolean',
+  'persist': 'boolean',
+  'broadcast': 'boolean'
+};
+
+// Type of toasts without a type attribute (the default of ToastifyPro#show)
+const defaultToastType = 'dark';
+
+// Counter for IDs of toasts shown by <toastify-pro-toast> elements
+let elementToastCounter = 0;
+
+/**
+ * Converts an attribute name to its option name (allow-close -> allowClose)
+ * @param {string} name - Attribute name
+ * @returns {string}
+ */
+function toOptionName(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Reads the options given as attributes of an element
+ * @param {Element} element - Element to read
+ * @param {Object} attributes - Attribute names and value kinds
+ * @returns {Object} Options for the attributes that are present
+ */
+function readOptions(element, attributes) {
+  const options = {};
+  Object.keys(attributes).forEach(name => {
+    if (!element.hasAttribute(name)) return;
+    const value = element.getAttribute(name);
+    const kind = attributes[name];
+
+    if (kind === 'number') {
+      const number = Number(value);
+      if (value === '' || isNaN(number)) {
+        console.warn(`ToastifyPro: Invalid ${name} "${value}" on <${element.localName}>. Ignoring it.`);
+        return;
+      }
+      options[toOptionName(name)] = number;
+    } else if (kind === 'boolean') {
+      // Present means true, except for an explicit "false"
+      options[toOptionName(name)] = value !== 'false';
+    } else if (kind === 'boolean-or-string') {
+      options[toOptionName(name)] = value === '' || value === 'true' ? true : value === 'false' ? false : value;
+    } else {
+      options[toOptionName(name)] = value;
+    }
+  });
+  return options;
+}
+
+/**
+ * <toastify-pro-toaster> - owns a ToastifyPro instance configured from its attributes
+ */
+export class ToastifyProToaster extends BaseElement {
+  static get observedAttributes() {
+    return Object.keys(toasterAttributes);
+  }
+
+  constructor() {
+    super();
+    this.instance = null;
+    // <toastify-pro-toast> elements by the ID of their toast
+    this.toastElements = new Map();
+  }
+
+  connectedCallback() {
+    if (!this.instance) {
+      const options = readOptions(this, toasterAttributes);
+      // Inside a shadow root, toasts are mounted into it (and pick up its styles)
+      const rootNode = this.getRootNode();
+      if (rootNode.nodeType === 11) {
+        options.root = rootNode;
+      }
+      this.instance = new ToastifyPro(options);
+
+      this.instance.on('show', ({ id, element }) => {
+        const toastElement = this.toastElements.get(id);
+        if (toastElement) {
+          toastElement.renderContent(element);
+        }
+      });
+
+      this.instance.on('dismiss', ({ id, reason }) => {
+        const toastElement = this.toastElements.get(id);
+        this.toastElements.delete(id);
+        if (toastElement) {
+          toastElement.handle = null;
+        }
+
+        // Dispatch on the declarative element while it's in the DOM (it bubbles to the toaster)
+        const target = toastElement && toastElement.isConnected ? toastElement : this;
+        target.dispatchEvent(new CustomEvent('toast-dismiss', {
+          bubbles: true,
+          composed: true,
+          detail: { id, reason }
+        }));
+      });
+
+      // Restore persisted toasts, mount the history bell and join the broadcast channel now
+      this.instance.init();
+    }
+
+    // Show the toasts inserted before the toaster was upgraded
+    this.querySelectorAll('toastify-pro-toast').forEach(toastElement => {
+      if (typeof toastElement.showToast === 'function') {
+        toastElement.showToast();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    // Dismiss the toasts and remove the instance's listeners; a new instance is created if reconnected
+    if (this.instance) {
+      this.instance.destroy();
+      this.instance = null;
+    }
+    this.toastElements.forEach(toastElement => {
+      toastElement.handle = null;
+    });
+    this.toastElements.clear();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Attributes are read when connecting; later changes update the instance's defaults
+    if (!this.instance || newValue === null) return;
+    const options = readOptions(this, { [name]: toasterAttributes[name] });
+    Object.assign(this.instance.defaultOptions, options);
+  }
+
+  /**
+   * Shows a toast (see ToastifyPro#show)
+   * @param {string} message - Toast message
+   * @param {string} type - Toast type
+   * @param {Object|string} opts - Toast options or description
+   * @returns {Object|null} Toast control handle
+   */
+  show(message, type, opts) {
+    if (!this.instance) {
+      console.warn('ToastifyPro: <toastify-pro-toaster> must be connected to show toasts.');
+      return null;
+    }
+    return this.instance.show(message, type, opts);
+  }
+
+  /**
+   * Dismisses all toasts of this toaster, or only those of a type
+   * @param {string|null} type - Toast type to dismiss (all if null)
+   */
+  dismissAll(type = null) {
+    if (this.instance) {
+      this.instance.dismissAll(type);
+    }
+  }
+}
+
+/**
+ * <toastify-pro-toast> - shows its content as a toast while connected
+ *
+ * The text content is the message; a child with slot="description" replaces the
+ * description attribute. Element children are copied into the toast.
+ */
+export class ToastifyProToast extends BaseElement {
+  static get observedAttributes() {
+    return ['type', 'description'];
+  }
+
+  constructor() {
+    super();
+    this.handle = null;
+    this.toaster = null;
+    this.contentRendered = false;
+  }
+
+  connectedCallback() {
+    // The element only describes the toast
+    this.hidden = true;
+    this.showToast();
+  }
+
+  disconnectedCallback() {
+    if (this.handle) {
+      this.handle.dismiss();
+    }
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.handle || oldValue === newValue) return;
+    const { message, description } = this.readContent();
+    this.handle.update(message, { type: this.getAttribute('type') || defaultToastType, description });
+    if (this.handle.element) {
+      this.renderContent(this.handle.element);
+    }
+  }
+
+  /**
+   * Finds the toaster of this element: the closest ancestor, or the first in the document
+   * @returns {ToastifyProToaster|null}
+   */
+  findToaster() {
+    const toaster = this.closest('toastify-pro-toaster') ||
+      this.getRootNode().querySelector('toastify-pro-toaster');
+    return toaster && toaster.instance ? toaster : null;
+  }
+
+  /**
+   * Reads the message and description from the content and attributes
+   * @returns {Object} { message, description, messageNodes, descriptionSlot }
+   */
+  readContent() {
+    const descriptionSlot = Array.from(this.children).find(child => child.getAttribute('slot') === 'description') || null;
+    const messageNodes = Array.from(this.childNodes).filter(node => node !== descriptionSlot);
+    const message = messageNodes.map(node => node.textContent).join('').trim();
+    const description = descriptionSlot ? descriptionSlot.textContent.trim() : (this.getAttribute('description') || '');
+    return { message, description, messageNodes, descriptionSlot };
+  }
+
+  /**
+   * Shows the toast, if it isn't showing yet and a toaster is available
+   */
+  showToast() {
+    if (this.handle || !this.isConnected) return;
+    const toaster = this.findToaster();
+    if (!toaster) return;
+
+    const { message, description } = this.readContent();
+    if (!message) {
+      console.warn('ToastifyPro: <toastify-pro-toast> has no message content.');
+      return;
+    }
+
+    const id = this.getAttribute('toast-id') || `toast-element-${++elementToastCounter}`;
+    this.toaster = toaster;
+    this.contentRendered = false;
+    toaster.toastElements.set(id, this);
+
+    this.handle = toaster.show(message, this.getAttribute('type') || defaultToastType, {
+      ...readOptions(this, toastAttributes),
+      description,
+      id
+    });
+    if (!this.handle) {
+      toaster.toastElements.delete(id);
+    } else if (this.handle.element && !this.contentRendered) {
+      // A toast with this ID was already showing and got updated in place (no 'show' event)
+      this.renderContent(this.handle.element);
+    }
+  }
+
+  /**
+   * Copies element children into the toast (text-only content is already there)
+   * @param {HTMLElement} toast - Toast element
+   */
+  renderContent(toast) {
+    const { messageNodes, descriptionSlot } = this.readContent();
+    this.contentRendered = true;
+    const copy = (nodes, selector) => {
+      const target = toast.querySelector(selector);
+      if (!target || !nodes.some(node => node.nodeType === 1)) return;
+      target.textContent = '';
+      nodes.forEach(node => target.appendChild(node.cloneNode(true)));
+    };
+
+    copy(messageNodes, '.toast-message');
+    if (descriptionSlot) {
+      copy(Array.from(descriptionSlot.childNodes), '.toast-description');
+    }
+  }
+}
+
+// Define the elements on import (once, and not on the server)
+if (typeof customElements !== 'undefined') {
+  if (!customElements.get('toastify-pro-toaster')) {
+    customElements.define('toastify-pro-toaster', ToastifyProToaster);
+  }
+  if (!customElements.get('toastify-pro-toast')) {
+    customElements.define('toastify-pro-toast', ToastifyProToast);
+  }
+}
+
+export { ToastifyPro };
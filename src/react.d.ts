@@ -0,0 +1,61 @@
+/**
+ * Type definitions for the ToastifyPro React bindings (toastify-pro/react)
+ * Hand-maintained - keep in sync with src/react.js
+ */
+
+import type { ReactElement, ReactNode } from 'react';
+import ToastifyPro from 'toastify-pro';
+
+export { ToastifyPro };
+
+/** Message or description: text, or a React element portaled into the toast */
+export type ToastContent = string | ReactElement;
+
+export interface ReactToastOptions extends Omit<ToastifyPro.ToastOptions, 'description'> {
+  description?: ToastContent;
+}
+
+export interface ReactToastUpdateOptions extends Omit<ToastifyPro.ToastUpdateOptions, 'description'> {
+  description?: ToastContent;
+}
+
+/** Signature of success(), error(), ... with React content */
+export type ReactToastMethod = (message: ToastContent, opts?: string | ReactToastOptions) => ToastifyPro.ToastHandle | null;
+
+export interface ToastApi {
+  /** The provider's ToastifyPro instance */
+  instance: ToastifyPro;
+  show(message: ToastContent, type?: ToastifyPro.ToastType, opts?: string | ReactToastOptions): ToastifyPro.ToastHandle | null;
+  success: ReactToastMethod;
+  error: ReactToastMethod;
+  info: ReactToastMethod;
+  warning: ReactToastMethod;
+  dark: ReactToastMethod;
+  light: ReactToastMethod;
+  custom: ToastifyPro['custom'];
+  promise: ToastifyPro['promise'];
+  conf: ToastifyPro['conf'];
+  input: ToastifyPro['input'];
+  update(id: string, message?: ToastContent | null, opts?: ReactToastUpdateOptions): ToastifyPro.ToastHandle | null;
+  dismiss(id: string): boolean;
+  dismissAll(type?: ToastifyPro.ToastType | null): void;
+}
+
+export interface ToasterProviderProps {
+  /** Constructor options (read once, on first render) */
+  options?: ToastifyPro.ToastifyProOptions;
+  children?: ReactNode;
+}
+
+/** Confirmation options without the callbacks (the promise replaces them) */
+export type UseConfirmOptions = Omit<ToastifyPro.ConfirmOptions, 'onConfirm' | 'onCancel'>;
+
+/** Resolves to true if confirmed, false if cancelled or another confirmation is open */
+export type ConfirmFunction = (message: string, opts?: string | UseConfirmOptions) => Promise<boolean>;
+
+export function ToasterProvider(props: ToasterProviderProps): ReactElement;
+
+/** Toast API of the nearest <ToasterProvider> (throws outside of one) */
+export function useToast(): ToastApi;
+
+export function useConfirm(): ConfirmFunction;
@@ -0,0 +1,242 @@
+/**
+ * ToastifyPro React bindings - import from 'toastify-pro/react'
+ *
+ * - <ToasterProvider options> owns one ToastifyPro instance
+ * - useToast() exposes the toast methods of that instance
+ * - useConfirm() returns a confirm(message, options) function resolving to true/false
+ * - React elements can be used as message and description: they are portaled
+ *   into the toast nodes created by show()
+ *
+ * @example
+ * <ToasterProvider options={{ position: 'top-right' }}>
+ *   <App />
+ * </ToasterProvider>
+ *
+ * const toast = useToast();
+ * toast.success(<span>Saved <b>report.pdf</b></span>);
+ */
+
+import { createContext, createElement, Fragment, isValidElement, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import ToastifyPro from 'toastify-pro';
+
+const ToastContext = createContext(null);
+
+// Text placed in the toast while its React content is portaled in (show() needs a non-empty message)
+const placeholderText = '\u200b';
+
+// Counter for IDs of toasts with React content and their portals (shared across providers)
+let reactToastCounter = 0;
+let portalCounter = 0;
+
+/**
+ * Provides a ToastifyPro instance to useToast() and useConfirm() and renders
+ * React toast content through portals
+ * @param {Object} props
+ * @param {Object} props.options - ToastifyPro constructor options (read when the instance is created)
+ * @param {*} props.children
+ */
+export function ToasterProvider({ options, children }) {
+  // Constructing has no DOM side effects, so this is safe during server rendering.
+  // The instance is destroyed on unmount and replaced if the provider mounts again.
+  const [instance, setInstance] = useState(() => new ToastifyPro(options));
+
+  // Portals of React message/description content, by toast ID
+  const [portals, setPortals] = useState({});
+  // React content of toasts that have not been shown yet (e.g. still queued)
+  const pendingContent = useRef({});
+
+  /**
+   * Portals pending React content into a toast element. Content goes into its own
+   * span, so the library resetting the node's text on update can't break React.
+   */
+  const attachContent = useCallback((id, element) => {
+    const content = pendingContent.current[id];
+    // Custom renderers (renderer option) don't mount DOM elements
+    if (!content || !element || typeof element.querySelector !== 'function') return;
+    delete pendingContent.current[id];
+
+    const targets = [];
+    [['message', '.toast-message'], ['description', '.toast-description']].forEach(([field, selector]) => {
+      const node = element.querySelector(selector);
+      if (content[field] === undefined || !node) return;
+      const mount = document.createElement('span');
+      node.textContent = '';
+      node.appendChild(mount);
+      targets.push({ node: mount, children: content[field], key: `portal-${++portalCounter}` });
+    });
+    setPortals(current => ({ ...current, [id]: targets }));
+  }, []);
+
+  useEffect(() => {
+    // Mounted again after the cleanup below (e.g. StrictMode) - start over with a fresh instance
+    if (instance.isDestroyed) {
+      setInstance(new ToastifyPro(options));
+      return;
+    }
+
+    // Toasts may be shown (or leave the queue) at any time, so attach content on 'show'
+    const offShow = instance.on('show', ({ id, element }) => attachContent(id, element));
+
+    // Keep the content through the exit animation, drop it once the element is gone
+    // (destroy() removes this handler after the last toast is gone)
+    instance.on('removed', ({ id }) => {
+      delete pendingContent.current[id];
+      setPortals(current => {
+        if (!current[id]) return current;
+        const next = { ...current };
+        delete next[id];
+        return next;
+      });
+    });
+
+    // Restore persisted toasts, mount the history bell and join the broadcast channel now
+    instance.init();
+
+    return () => {
+      offShow();
+      // Removes the toasts and the instance's document, page and channel listeners
+      instance.destroy();
+    };
+  }, [instance, attachContent]);
+
+  /**
+   * Shows a toast whose message and/or description may be React elements
+   */
+  const show = useCallback((message, type, opts = {}) => {
+    if (typeof opts === 'string') {
+      opts = { description: opts };
+    }
+    opts = opts || {};
+
+    const reactMessage = isValidElement(message);
+    const reactDescription = isValidElement(opts.description);
+    if (!reactMessage && !reactDescription) {
+      return instance.show(message, type, opts);
+    }
+
+    // Register the content under a known ID before show() emits 'show'
+    const id = opts.id != null ? String(opts.id) : `toast-react-${++reactToastCounter}`;
+    pendingContent.current[id] = {
+      message: reactMessage ? message : undefined,
+      description: reactDescription ? opts.description : undefined
+    };
+
+    const handle = instance.show(reactMessage ? placeholderText : message, type, {
+      ...opts,
+      id,
+      description: reactDescription ? placeholderText : opts.description,
+      // Placeholder text would make every React toast look like a duplicate
+      dedupeKey: opts.dedupeKey || `react:${id}`
+    });
+
+    if (!handle) {
+      delete pendingContent.current[id];
+    } else {
+      // A toast with this ID was already showing and got updated in place (no 'show' event)
+      attachContent(id, handle.element);
+    }
+    return handle;
+  }, [instance, attachContent]);
+
+  /**
+   * Updates a toast by ID; message and description may be React elements
+   */
+  const update = useCallback((id, message, opts = {}) => {
+    opts = opts || {};
+    const reactMessage = isValidElement(message);
+    const reactDescription = isValidElement(opts.description);
+    if (!reactMessage && !reactDescription) {
+      return instance.update(id, message, opts);
+    }
+
+    const handle = instance.get(id);
+    if (!handle) return null;
+
+    pendingContent.current[handle.id] = {
+      message: reactMessage ? message : undefined,
+      description: reactDescription ? opts.description : undefined
+    };
+    handle.update(reactMessage ? placeholderText : message, {
+      ...opts,
+      description: reactDescription ? placeholderText : opts.description
+    });
+    // Queued toasts get their content on 'show'
+    attachContent(handle.id, handle.element);
+    return handle;
+  }, [instance, attachContent]);
+
+  const api = useMemo(() => {
+    const typed = (type) => (message, opts) => show(message, type, opts);
+    return {
+      instance,
+      show,
+      success: typed('success'),
+      error: typed('error'),
+      info: typed('info'),
+      warning: typed('warning'),
+      dark: typed('dark'),
+      light: typed('light'),
+      custom: (message, opts) => instance.custom(message, opts),
+      promise: (promise, messages, opts) => instance.promise(promise, messages, opts),
+      conf: (message, descriptionOrCallback, callback) => instance.conf(message, descriptionOrCallback, callback),
+      input: (message, descriptionOrCallback, callback) => instance.input(message, descriptionOrCallback, callback),
+      update,
+      dismiss: (id) => instance.dismiss(id),
+      dismissAll: (type) => instance.dismissAll(type)
+    };
+  }, [instance, show, update]);
+
+  const portalElements = [];
+  Object.keys(portals).forEach(id => {
+    portals[id].forEach(target => {
+      portalElements.push(createPortal(target.children, target.node, target.key));
+    });
+  });
+
+  return createElement(ToastContext.Provider, { value: api }, children, createElement(Fragment, null, portalElements));
+}
+
+/**
+ * Returns the toast API of the nearest <ToasterProvider>
+ * @returns {Object} { success, error, info, warning, dark, light, show, custom, promise,
+ *   conf, input, update, dismiss, dismissAll, instance }
+ */
+export function useToast() {
+  const api = useContext(ToastContext);
+  if (!api) {
+    throw new Error('ToastifyPro: useToast() must be used within a <ToasterProvider>.');
+  }
+  return api;
+}
+
+/**
+ * Returns a function that opens a confirmation and resolves to true (confirmed)
+ * or false (cancelled, closed with Escape, or another confirmation is already open)
+ * @returns {Function} confirm(message, options) => Promise<boolean>
+ *
+ * @example
+ * const confirm = useConfirm();
+ * if (await confirm('Delete this file?', { confirmText: 'Delete' })) { ... }
+ */
+export function useConfirm() {
+  const { instance } = useToast();
+
+  return useCallback((message, opts = {}) => {
+    if (typeof opts === 'string') {
+      opts = { description: opts };
+    }
+
+    const control = instance.conf(message, opts);
+
+    // conf() returns the open confirmation (and shakes it) if there already is one
+    if (control.element && control.element.classList.contains('shake')) {
+      return Promise.resolve(false);
+    }
+
+    // The control resolves with the outcome (false right away during SSR)
+    return Promise.resolve(control);
+  }, [instance]);
+}
+
+export { ToastifyPro };
@@ -0,0 +1,495 @@
+/**
+ * Type definitions for ToastifyPro
+ * Hand-maintained - keep in sync with src/toastify-pro.js
+ */
+
+export = ToastifyPro;
+export as namespace ToastifyPro;
+
+// Shortcut methods added by registerType() (see ToastifyPro.RegisteredTypes)
+interface ToastifyPro extends ToastifyPro.RegisteredTypes {}
+
+declare class ToastifyPro {
+  /**
+   * Creates a new ToastifyPro instance. Construction has no DOM side effects;
+   * the container and styles are created when the first toast is shown.
+   */
+  constructor(options?: ToastifyPro.ToastifyProOptions);
+
+  /** Options every toast starts from */
+  defaultOptions: Required<Omit<ToastifyPro.ToastifyProOptions, 'root' | 'styleNonce' | 'primaryColor' | 'secondaryColor' | 'renderer' | 'messages'>> &
+    Pick<ToastifyPro.ToastifyProOptions, 'root' | 'styleNonce' | 'primaryColor' | 'secondaryColor' | 'renderer' | 'messages'>;
+
+  /** Shows a toast of any built-in or registered type. Returns null if dropped or without a DOM. */
+  show(message: string, type?: ToastifyPro.ToastType, opts?: ToastifyPro.ToastOptions): ToastifyPro.ToastHandle | null;
+
+  success: ToastifyPro.ToastMethod;
+  error: ToastifyPro.ToastMethod;
+  info: ToastifyPro.ToastMethod;
+  warning: ToastifyPro.ToastMethod;
+  dark: ToastifyPro.ToastMethod;
+  light: ToastifyPro.ToastMethod;
+
+  /** Toast with custom colors (falls back to success() without a primaryColor) */
+  custom(message: string, opts?: string | ToastifyPro.CustomToastOptions): ToastifyPro.ToastHandle | null;
+
+  /** Tracks a promise with a loading toast that turns into a success or error toast */
+  promise<T>(
+    promiseOrFn: Promise<T> | (() => Promise<T>),
+    messages?: ToastifyPro.PromiseMessages<T>,
+    opts?: ToastifyPro.ToastOptions
+  ): Promise<T>;
+
+  /** Confirmation dialog */
+  conf(message: string, callback?: ToastifyPro.ConfirmCallback): ToastifyPro.ConfirmControl;
+  conf(message: string, description: string, callback: ToastifyPro.ConfirmCallback): ToastifyPro.ConfirmControl;
+  conf(message: string, options: ToastifyPro.ConfirmOptions, callback?: ToastifyPro.ConfirmCallback): ToastifyPro.ConfirmControl;
+  conf(message: string, description: string, options: ToastifyPro.ConfirmOptions): ToastifyPro.ConfirmControl;
+
+  /** Alias for conf() */
+  confirm: ToastifyPro['conf'];
+
+  /** Input prompt */
+  input(message: string, callback?: ToastifyPro.InputCallback): ToastifyPro.InputControl;
+  input(message: string, description: string, callback: ToastifyPro.InputCallback): ToastifyPro.InputControl;
+  input(message: string, options: ToastifyPro.InputOptions): ToastifyPro.InputControl;
+  input(message: string, description: string, options: ToastifyPro.InputOptions): ToastifyPro.InputControl;
+
+  /** Alias for input() */
+  prompt: ToastifyPro['input'];
+
+  /** Dismisses all toasts, or only those of a type (queued ones included) */
+  dismissAll(type?: ToastifyPro.ToastType | null): void;
+
+  /** Handle of an active or queued toast */
+  get(id: string): ToastifyPro.ToastHandle | null;
+  /** Updates a toast by ID */
+  update(id: string, message?: string | null, opts?: ToastifyPro.ToastUpdateOptions): ToastifyPro.ToastHandle | null;
+  /** Dismisses a toast by ID */
+  dismiss(id: string): boolean;
+  /** Whether a toast with this ID is showing */
+  isActive(id: string): boolean;
+  getActiveCount(): number;
+  getQueuedCount(): number;
+  /** Discards queued toasts and returns how many were discarded */
+  clearQueue(): number;
+  /** Sets up the container, history bell, persisted toasts and cross-tab channel now rather than on the first toast; false on the server */
+  init(): boolean;
+  /** Dismisses the toasts, removes document/window listeners and leaves the cross-tab channel */
+  destroy(): void;
+
+  on<E extends ToastifyPro.ToastEventName>(event: E, handler: (payload: ToastifyPro.ToastEventMap[E]) => void): () => void;
+  off<E extends ToastifyPro.ToastEventName>(event?: E, handler?: (payload: ToastifyPro.ToastEventMap[E]) => void): void;
+
+  /** Svelte store / useSyncExternalStore subscription: called now and after every change (bound) */
+  subscribe(listener: (snapshot: ToastifyPro.ToastSnapshot) => void): () => void;
+  /** Frozen toast list, the same object until it changes (bound) */
+  getSnapshot(): ToastifyPro.ToastSnapshot;
+
+  getHistory(type?: ToastifyPro.ToastType | null): ToastifyPro.HistoryEntry[];
+  clearHistory(): void;
+  markHistoryRead(id?: string | null): void;
+  getUnreadCount(): number;
+  mountHistoryBell(parent?: HTMLElement | null): ToastifyPro.HistoryBellControl | null;
+
+  /** Asks for permission to show native notifications (systemNotification option) */
+  requestSystemPermission(): Promise<NotificationPermission | 'unsupported'>;
+
+  /** A built-in string in the instance's language, e.g. translate('repeated', { count: 3 }) */
+  translate(key: keyof ToastifyPro.ToastMessages | (string & {}), values?: Record<string, string | number>): string;
+
+  /** Stores a toast to show on the next page load */
+  static flash(message: string, type?: ToastifyPro.ToastType, opts?: string | ToastifyPro.FlashOptions): boolean;
+
+  /** Sets injectStyles and styleNonce before any instance exists (re-adds sheets already added) */
+  static configureStyles(options: Pick<ToastifyPro.ToastifyProOptions, 'injectStyles' | 'styleNonce'>): void;
+
+  /** Sets design tokens (CSS custom properties) for all toasts */
+  static setTheme(tokens: ToastifyPro.ThemeTokens): Record<string, string>;
+
+  /**
+   * Registers a custom toast type and a shortcut method of the same name
+   * (declare the shortcut for TypeScript by augmenting ToastifyPro.RegisteredTypes)
+   */
+  static registerType(name: string, config?: ToastifyPro.ToastTypeConfig): boolean;
+
+  /** Adds or overrides translations for a locale (missing keys fall back to English) */
+  static registerLocale(locale: string, messages: ToastifyPro.ToastMessages): boolean;
+}
+
+declare namespace ToastifyPro {
+  type Position = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right' | 'top-center' | 'bottom-center' | 'center';
+
+  type BuiltInToastType = 'success' | 'error' | 'info' | 'warning' | 'dark' | 'light';
+
+  /** Built-in types, or any name passed to registerType() */
+  type ToastType = BuiltInToastType | (string & {});
+
+  type Priority = 'low' | 'normal' | 'high' | 'critical';
+
+  type OverflowMode = 'evict' | 'queue' | 'drop';
+
+  type Appearance = 'dark' | 'light' | 'auto';
+
+  /** 'cleared': discarded from the queue by clearQueue() */
+  type DismissReason = 'timeout' | 'close' | 'escape' | 'action' | 'swipe' | 'evicted' | 'broadcast' | 'cleared' | 'programmatic';
+
+  interface ToastifyProOptions {
+    position?: Position;
+    /** Auto-dismiss timeout in ms (0 to disable). Default: 3000 */
+    timeout?: number;
+    allowClose?: boolean;
+    maxLength?: number;
+    /** Primary color for custom() */
+    primaryColor?: string | null;
+    /** Secondary gradient color for custom() */
+    secondaryColor?: string | null;
+    pauseOnHover?: boolean;
+    /** Pause while keyboard focus is inside a toast (default false) */
+    pauseOnFocusWithin?: boolean;
+    /** Pause all toasts while the tab is hidden (default false) */
+    pauseOnPageHidden?: boolean;
+    pauseOnWindowBlur?: boolean;
+    /** Maximum number of visible toasts (0 = unlimited) */
+    maxToasts?: number;
+    newestOnTop?: boolean;
+    ariaLive?: 'polite' | 'assertive';
+    dedupe?: boolean;
+    overflow?: OverflowMode;
+    priority?: Priority;
+    swipeToDismiss?: boolean;
+    swipeThreshold?: number;
+    history?: boolean;
+    historyLimit?: number;
+    historyBell?: boolean;
+    /** true, or a storage name for instances sharing a position */
+    persist?: boolean | string;
+    /** true, or a channel name */
+    broadcast?: boolean | string;
+    /** Default theme for conf() and input() */
+    appearance?: Appearance;
+    /** true: <style> element, 'adopted': adoptedStyleSheets, false: load dist/toastify-pro.css yourself */
+    injectStyles?: boolean | 'adopted';
+    /** CSP nonce for injected <style> elements */
+    styleNonce?: string | null;
+    /** Where containers, overlays and styles are mounted (default: document) */
+    root?: Element | ShadowRoot | Document | null;
+    /** Renders toasts instead of the built-in DOM renderer (headless mode) */
+    renderer?: ToastRenderer<any> | null;
+    /** 'rtl' mirrors the layout and swaps left/right positions; 'auto' follows the page, then the locale. Default: 'ltr' */
+    dir?: Direction | 'auto';
+    /** Language of built-in strings, e.g. 'ar' or 'pt-BR', or 'auto' for the page/browser language. Default: 'en' */
+    locale?: string;
+    /** Overrides for built-in strings */
+    messages?: ToastMessages | null;
+  }
+
+  type Direction = 'ltr' | 'rtl';
+
+  /** Built-in strings; {count} is replaced with a number */
+  interface ToastMessages {
+    action?: string;
+    close?: string;
+    /** Aria-label of the "×N" badge */
+    repeated?: string;
+    loading?: string;
+    promiseSuccess?: string;
+    promiseError?: string;
+    confirm?: string;
+    cancel?: string;
+    /** Aria-label of the confirmation close button */
+    closeConfirmation?: string;
+    submit?: string;
+    inputPlaceholder?: string;
+    required?: string;
+    invalidEmail?: string;
+    invalidUrl?: string;
+    invalidNumber?: string;
+    notifications?: string;
+    unreadNotifications?: string;
+    historyLabel?: string;
+    filterByType?: string;
+    allTypes?: string;
+    markAllRead?: string;
+    clearHistory?: string;
+    noNotifications?: string;
+    /** Type names in the history filter */
+    success?: string;
+    error?: string;
+    info?: string;
+    warning?: string;
+    dark?: string;
+    light?: string;
+  }
+
+  interface ToastAction {
+    label: string;
+    onClick?: (context: { close: () => void; event: MouseEvent }) => void;
+  }
+
+  interface ToastOptions {
+    description?: string;
+    timeout?: number;
+    allowClose?: boolean;
+    maxLength?: number;
+    action?: ToastAction;
+    pauseOnHover?: boolean;
+    pauseOnFocusWithin?: boolean;
+    ariaLive?: 'polite' | 'assertive';
+    /** Stable ID; showing a toast with the ID of an active one updates it in place */
+    id?: string;
+    dedupe?: boolean;
+    dedupeKey?: string;
+    overflow?: OverflowMode;
+    priority?: Priority;
+    swipeToDismiss?: boolean;
+    onShow?: (handle: ToastHandle) => void;
+    onClose?: (reason: DismissReason) => void;
+    persist?: boolean;
+    broadcast?: boolean;
+    /** Mirror as a native notification while the tab is hidden */
+    systemNotification?: boolean | { icon?: string };
+    /** Show a spinner instead of the type icon */
+    loading?: boolean;
+  }
+
+  interface CustomToastOptions extends ToastOptions {
+    primaryColor?: string;
+    secondaryColor?: string;
+  }
+
+  interface ToastUpdateOptions {
+    description?: string;
+    type?: ToastType;
+    /** Restarts the auto-dismiss timer with this timeout */
+    timeout?: number;
+    loading?: boolean;
+  }
+
+  /** Signature of success(), error(), ... and registered type shortcuts */
+  type ToastMethod = (message: string, opts?: string | ToastOptions) => ToastHandle | null;
+
+  /**
+   * Shortcut methods of types added with registerType(). Augment it to type them:
+   * @example
+   * declare module 'toastify-pro' {
+   *   interface RegisteredTypes { billing: ToastifyPro.ToastMethod }
+   * }
+   */
+  interface RegisteredTypes {}
+
+  interface ToastHandle {
+    id: string;
+    /** Toast element (null while waiting in the queue; with a custom renderer, what its mount() returned) */
+    element: HTMLElement | null;
+    /** Resolves with the dismissal reason */
+    closed: Promise<DismissReason>;
+    dismiss(): void;
+    update(message?: string | null, opts?: ToastUpdateOptions): void;
+    pause(): void;
+    resume(): void;
+  }
+
+  interface PromiseMessages<T> {
+    loading?: string;
+    success?: string | ((result: T) => string);
+    error?: string | ((error: any) => string);
+  }
+
+  /** then/catch/finally of conf() and input() controls, settled with the dialog's outcome */
+  interface DialogOutcome<T> extends PromiseLike<T> {
+    then<R1 = T, R2 = never>(
+      onfulfilled?: ((value: T) => R1 | PromiseLike<R1>) | null,
+      onrejected?: ((reason: any) => R2 | PromiseLike<R2>) | null
+    ): Promise<R1 | R2>;
+    catch<R = never>(onrejected?: ((reason: any) => R | PromiseLike<R>) | null): Promise<T | R>;
+    finally(onfinally?: (() => void) | null): Promise<T>;
+  }
+
+  /** Awaiting it gives true once confirmed, false once cancelled or closed (right away without a DOM) */
+  interface ConfirmControl extends DialogOutcome<boolean> {
+    /** null where there's no DOM (SSR) */
+    element: HTMLElement | null;
+    setLoading(loading: boolean): void;
+    close(): void;
+  }
+
+  interface ConfirmCallbackControl {
+    setLoading(loading: boolean): void;
+    close(): void;
+  }
+
+  /** Called with true on confirm (with a control object) and false on cancel */
+  type ConfirmCallback = (confirmed: boolean, control?: ConfirmCallbackControl) => void | Promise<unknown>;
+
+  interface ConfirmOptions {
+    description?: string;
+    confirmText?: string;
+    cancelText?: string;
+    theme?: Appearance;
+    /** Alias for theme */
+    color?: Appearance;
+    position?: Position;
+    primaryColor?: string;
+    secondaryColor?: string;
+    /** Start in the loading state */
+    loading?: boolean;
+    /** Returning a promise keeps the dialog loading until it settles */
+    onConfirm?: (control: ConfirmCallbackControl) => void | Promise<unknown>;
+    onCancel?: () => void;
+  }
+
+  /** Awaiting it gives the submitted value, or null once cancelled or closed (right away without a DOM) */
+  interface InputControl extends DialogOutcome<string | null> {
+    /** null where there's no DOM (SSR) */
+    element: HTMLElement | null;
+    close(): void;
+    setLoading(loading: boolean): void;
+    getValue(): string;
+    setValue(value: string): void;
+    setError(message: string): void;
+    clearError(): void;
+  }
+
+  interface InputCallbackControl {
+    setLoading(loading: boolean): void;
+    close(): void;
+    setValue(value: string): void;
+  }
+
+  type InputCallback = (value: string, control: InputCallbackControl) => void | Promise<unknown>;
+
+  interface InputOptions {
+    description?: string;
+    placeholder?: string;
+    submitText?: string;
+    cancelText?: string;
+    defaultValue?: string;
+    required?: boolean;
+    type?: 'text' | 'email' | 'number' | 'password' | 'url' | 'tel';
+    /** Return true when valid, or an error message */
+    validate?: (value: string) => true | string;
+    onSubmit?: InputCallback;
+    onCancel?: () => void;
+    theme?: Appearance;
+    position?: Position;
+    overlay?: boolean;
+    primaryColor?: string;
+    secondaryColor?: string;
+  }
+
+  interface ToastState {
+    readonly id: string;
+    readonly type: ToastType | null;
+    readonly message: string;
+    readonly description: string;
+    /** Times shown (dedupe) */
+    readonly count: number;
+    readonly createdAt: number;
+    /** Auto-dismiss time left (ms) when the snapshot was taken, null if the toast stays open */
+    readonly remaining: number | null;
+    readonly paused: boolean;
+    /** Dismissed and animating out */
+    readonly removing: boolean;
+    /** Spinner instead of the type icon (promise()) */
+    readonly loading: boolean;
+  }
+
+  type ToastSnapshot = readonly ToastState[];
+
+  /** Toast passed to a renderer */
+  interface ToastRenderState<E = unknown> extends ToastState {
+    /** Merged toast options */
+    readonly options: ToastifyProOptions & CustomToastOptions & { customGradient?: string; customTextLight?: boolean };
+    /** Set once dismissed */
+    readonly reason: DismissReason | null;
+    /** What mount() returned (null while mounting) */
+    readonly element: E | null;
+    /** Resolved text direction */
+    readonly dir: Direction;
+  }
+
+  /** Fields passed to renderer.update(); remaining is set when the timer (and progress bar) restarted */
+  type ToastRenderChanges = Partial<Pick<ToastState, 'message' | 'description' | 'type' | 'count' | 'paused' | 'loading' | 'remaining'>>;
+
+  /** What a renderer's buttons and gestures call */
+  interface ToastControls {
+    /** Default reason: 'close' */
+    dismiss(reason?: DismissReason): void;
+    /** Default source: 'hover' */
+    pause(source?: string): void;
+    resume(source?: string): void;
+    /** Runs the action's onClick */
+    action(event?: Event | null): void;
+  }
+
+  interface ToastRenderer<E = unknown> {
+    /** Renders a new toast; the return value becomes the handle's element */
+    mount(toast: ToastRenderState<E>, controls: ToastControls): E;
+    update(toast: ToastRenderState<E>, changes: ToastRenderChanges): void;
+    /** Removes a dismissed toast; call done (or resolve the returned promise) once it's gone */
+    unmount(toast: ToastRenderState<E>, done: () => void): void | Promise<unknown>;
+  }
+
+  interface HistoryEntry {
+    id: string;
+    message: string;
+    description: string;
+    type: ToastType | null;
+    timestamp: number;
+    /** How the toast was dismissed; 'dropped' if overflow 'drop' never showed it */
+    reason: DismissReason | 'dropped' | null;
+    count: number;
+    read: boolean;
+  }
+
+  interface HistoryBellControl {
+    element: HTMLElement;
+    open(): void;
+    close(): void;
+    toggle(): void;
+    destroy(): void;
+    render(): void;
+  }
+
+  interface FlashOptions {
+    description?: string;
+    timeout?: number;
+    priority?: Priority;
+  }
+
+  interface ToastTypeConfig {
+    /** SVG markup */
+    icon?: string;
+    background?: string;
+    textColor?: string;
+    progressColor?: string;
+    role?: 'status' | 'alert';
+    ariaLive?: 'polite' | 'assertive';
+    timeout?: number;
+  }
+
+  /** camelCase token names ('radius', 'successBg') or full custom property names; null removes */
+  type ThemeTokens = Record<string, string | number | null>;
+
+  interface ToastEventPayload {
+    id: string;
+    element: HTMLElement;
+  }
+
+  interface ToastEventMap {
+    show: ToastEventPayload & { message: string; type: ToastType | null };
+    update: ToastEventPayload & { message: string; type: ToastType | null };
+    pause: ToastEventPayload & { source: string };
+    resume: ToastEventPayload & { source: string };
+    dismiss: ToastEventPayload & { reason: DismissReason };
+    removed: ToastEventPayload & { reason: DismissReason };
+    action: ToastEventPayload & { label: string };
+    confirm: { element: HTMLElement; message: string };
+    cancel: { element: HTMLElement; message: string };
+    inputSubmit: { element: HTMLElement; message: string; value: string };
+    inputCancel: { element: HTMLElement; message: string };
+  }
+
+  type ToastEventName = keyof ToastEventMap;
+}
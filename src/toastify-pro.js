@@ -19,6 +19,7 @@
  * - Center position support for enhanced focus
  * - Independent positioning for confirmations
  * - Action buttons in toasts with customizable callbacks
+ * - Promise toasts that track loading, success and error states
  * - Pause on hover functionality
  * - Queue management (maxToasts, newestOnTop)
  * - Full accessibility support (ARIA, keyboard navigation, reduced motion)
@@ -33,6 +34,593 @@
 // Global active confirmation tracker (shared across all instances)
 let globalActiveConfirmation = null;
 
+// Counter for auto-generated toast IDs (shared across all instances)
+let toastIdCounter = 0;
+
+// Priority levels - higher values are shown first and are never evicted in favor of lower ones
+const priorityLevels = { low: 0, normal: 1, high: 2, critical: 3 };
+
+// sessionStorage keys for persisted toasts (suffixed per instance, see claimPersistKey()) and flash messages
+const persistStorageKey = 'toastify-pro:persisted';
+const flashStorageKey = 'toastify-pro:flash';
+
+// Persisted toast keys held by live instances (key -> instance)
+const persistKeyOwners = new Map();
+
+/**
+ * Picks an instance's sessionStorage key for persisted toasts: its persist name, else its
+ * position, with a counter for further instances using the same one. Counters follow
+ * creation order, so the next page's instances get the same keys back.
+ * @param {ToastifyPro} instance - Instance to pick a key for
+ * @returns {string} Storage key, released by destroy()
+ */
+function claimPersistKey(instance) {
+  const { persist, position } = instance.defaultOptions;
+  const base = `${persistStorageKey}:${typeof persist === 'string' ? persist : position}`;
+  let key = base;
+  for (let n = 2; persistKeyOwners.has(key); n++) {
+    key = `${base}:${n}`;
+  }
+  persistKeyOwners.set(key, instance);
+  return key;
+}
+
+// Identifies this tab in cross-tab broadcast messages so it ignores its own
+const broadcastTabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Cross-tab channels opened in this tab, shared by the instances using them
+// (channel name -> { post, close, instances })
+const broadcastChannels = {};
+
+/**
+ * Hands a message from another tab to one instance on the channel, so the toast
+ * appears once per tab: the instance that already has the toast, or for a new toast
+ * the one at the sender's position (else the first)
+ * @param {Object} channel - Shared channel { instances }
+ * @param {Object} data - Broadcast message
+ */
+function routeBroadcast(channel, data) {
+  if (!data || data.tabId === broadcastTabId) return;
+
+  const instances = Array.from(channel.instances);
+  let target = instances.find(instance => instance.get(data.id));
+  if (!target && data.action === 'show') {
+    target = instances.find(instance => instance.defaultOptions.position === data.position) || instances[0];
+  }
+  if (target) {
+    target.applyBroadcast(data);
+  }
+}
+
+// Built-in toast types and those added with ToastifyPro.registerType() (name -> config)
+const builtInTypes = ['success', 'error', 'info', 'warning', 'dark', 'light'];
+const customTypes = {};
+
+// State and variant classes set on toast elements; a type of the same name would pick up their styles
+const reservedTypeNames = [
+  'custom', 'light-text', 'show', 'visible', 'paused', 'loading', 'swipeable', 'swiping',
+  'progress-restart', 'shake', 'bump', 'confirmation', 'input-toast'
+];
+
+// Design tokens set with ToastifyPro.setTheme() (custom property name -> value)
+const themeTokens = {};
+
+// How stylesheets are added to the page: true (<style> elements), 'adopted' (constructed
+// stylesheets) or false (main stylesheet loaded from dist/toastify-pro.css). Set by the
+// constructor or ToastifyPro.configureStyles().
+const styleSettings = { mode: true, nonce: null };
+
+// Constructed stylesheets added to a root's adoptedStyleSheets (root -> { id: sheet })
+const adoptedSheets = new WeakMap();
+
+// Documents and shadow roots holding toasts; each gets the shared stylesheets below
+const styleRoots = new Set();
+
+// Stylesheets shared by every root: registered types and theme tokens (id -> css)
+const sharedStyleSheets = {};
+
+/**
+ * Creates or replaces one of the library's stylesheets in a document or shadow root
+ * @param {string} id - Stylesheet id (used as the <style> element id)
+ * @param {string} css - Stylesheet text
+ * @param {Document|ShadowRoot} target - Where the stylesheet applies (default: document)
+ */
+function writeStyleSheet(id, css, target = typeof document !== 'undefined' ? document : null) {
+  if (!target) return;
+
+  const doc = target.nodeType === 9 ? target : target.ownerDocument;
+  const view = doc.defaultView || {};
+  const canAdopt = 'adoptedStyleSheets' in target && typeof view.CSSStyleSheet === 'function' &&
+    'replaceSync' in view.CSSStyleSheet.prototype;
+  // Without injected styles, registered type and theme sheets can only be constructed
+  // stylesheets (allowed by a strict CSP); they're skipped where those aren't supported
+  if (styleSettings.mode === false && !canAdopt) return;
+  if (styleSettings.mode !== true && canAdopt) {
+    const sheets = adoptedSheets.get(target) || {};
+    adoptedSheets.set(target, sheets);
+    let sheet = sheets[id];
+    if (!sheet) {
+      sheet = new view.CSSStyleSheet();
+      sheets[id] = sheet;
+      target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+    }
+    // Constructed stylesheets don't support @import
+    sheet.replaceSync(css.replace(/@import\s+url\([^)]*\)[^;]*;/g, ''));
+    return;
+  }
+
+  let style = target.getElementById(id);
+  if (!style) {
+    style = doc.createElement('style');
+    style.id = id;
+    // Allowed by a strict style-src Content Security Policy
+    if (styleSettings.nonce) {
+      style.setAttribute('nonce', styleSettings.nonce);
+    }
+    (target.nodeType === 9 ? target.head : target).appendChild(style);
+  }
+  style.textContent = css;
+}
+
+/**
+ * Whether a root already has one of the library's stylesheets
+ * @param {string} id - Stylesheet id
+ * @param {Document|ShadowRoot} target - Document or shadow root
+ * @returns {boolean}
+ */
+function hasStyleSheet(id, target) {
+  const sheets = adoptedSheets.get(target);
+  return !!(target.getElementById(id) || (sheets && sheets[id]));
+}
+
+/**
+ * Updates how stylesheets are added, and re-adds those written before
+ * (a strict CSP blocks <style> elements that were added without the nonce)
+ * @param {Object} settings - { injectStyles, styleNonce }; undefined values are kept
+ */
+function applyStyleSettings({ injectStyles, styleNonce }) {
+  const modeChanged = injectStyles !== undefined && injectStyles !== styleSettings.mode;
+  const nonceChanged = !!styleNonce && styleNonce !== styleSettings.nonce;
+  if (injectStyles !== undefined) {
+    styleSettings.mode = injectStyles;
+  }
+  if (styleNonce) {
+    styleSettings.nonce = styleNonce;
+  }
+  if (!modeChanged && !nonceChanged) return;
+
+  styleRoots.forEach(target => {
+    target.querySelectorAll('style[id^="toastify-pro-"]').forEach(style => {
+      const shared = Object.prototype.hasOwnProperty.call(sharedStyleSheets, style.id);
+      // The main stylesheet only needs the nonce; shared sheets follow the new mode
+      if (!shared && !nonceChanged) return;
+      style.remove();
+      writeStyleSheet(style.id, shared ? sharedStyleSheets[style.id] : style.textContent, target);
+    });
+  });
+}
+
+/**
+ * Writes a stylesheet to every root that holds toasts (see styleRoots)
+ * @param {string} id - Stylesheet id
+ * @param {string} css - Stylesheet text
+ */
+function writeSharedStyleSheet(id, css) {
+  sharedStyleSheets[id] = css;
+  if (styleRoots.size === 0 && typeof document !== 'undefined') {
+    styleRoots.add(document);
+  }
+  styleRoots.forEach(target => writeStyleSheet(id, css, target));
+}
+
+// Direction of each car swipe exit animation, followed by swipe to dismiss
+const swipeDirections = {
+  carSwipeBottom: { x: 0, y: 1 },
+  carSwipeTop: { x: 0, y: -1 },
+  carSwipeLeft: { x: -1, y: 0 },
+  carSwipeRight: { x: 1, y: 0 },
+  carSwipeCenter: { x: 0, y: 1 }
+};
+
+// Lifecycle events emitted through on()/off()
+const toastEvents = [
+  'show', 'update', 'pause', 'resume', 'dismiss', 'removed', 'action',
+  'confirm', 'cancel', 'inputSubmit', 'inputCancel'
+];
+
+// Events that change the toast list seen by subscribe()/getSnapshot()
+const storeEvents = ['show', 'update', 'pause', 'resume', 'dismiss', 'removed'];
+
+// Snapshot of an instance without toasts (shared, so it never looks like a change)
+const emptySnapshot = Object.freeze([]);
+
+// Built-in strings by locale, and those added with ToastifyPro.registerLocale() (locale -> { key: text }).
+// {count} is replaced with a number. Missing keys fall back to the base language (pt-br -> pt), then English.
+const translations = {
+  en: {
+    action: 'Action',
+    close: 'Close notification',
+    repeated: 'Repeated {count} times',
+    loading: 'Loading...',
+    promiseSuccess: 'Done',
+    promiseError: 'Something went wrong',
+    confirm: 'Confirm',
+    cancel: 'Cancel',
+    closeConfirmation: 'Cancel confirmation',
+    submit: 'Submit',
+    inputPlaceholder: 'Enter your response...',
+    required: 'This field is required',
+    invalidEmail: 'Please enter a valid email address',
+    invalidUrl: 'Please enter a valid URL',
+    invalidNumber: 'Please enter a valid number',
+    notifications: 'Notifications',
+    unreadNotifications: 'Notifications, {count} unread',
+    historyLabel: 'Notification history',
+    filterByType: 'Filter by type',
+    allTypes: 'All',
+    markAllRead: 'Mark all read',
+    clearHistory: 'Clear',
+    noNotifications: 'No notifications',
+    success: 'Success',
+    error: 'Error',
+    info: 'Info',
+    warning: 'Warning',
+    dark: 'Dark',
+    light: 'Light'
+  },
+  ar: {
+    action: 'إجراء',
+    close: 'إغلاق الإشعار',
+    repeated: 'عدد التكرار: {count}',
+    loading: 'جارٍ التحميل...',
+    promiseSuccess: 'تم',
+    promiseError: 'حدث خطأ ما',
+    confirm: 'تأكيد',
+    cancel: 'إلغاء',
+    closeConfirmation: 'إلغاء التأكيد',
+    submit: 'إرسال',
+    inputPlaceholder: 'أدخل ردك...',
+    required: 'هذا الحقل مطلوب',
+    invalidEmail: 'يرجى إدخال عنوان بريد إلكتروني صالح',
+    invalidUrl: 'يرجى إدخال رابط صالح',
+    invalidNumber: 'يرجى إدخال رقم صالح',
+    notifications: 'الإشعارات',
+    unreadNotifications: 'الإشعارات، غير المقروءة: {count}',
+    historyLabel: 'سجل الإشعارات',
+    filterByType: 'تصفية حسب النوع',
+    allTypes: 'الكل',
+    markAllRead: 'تعليم الكل كمقروء',
+    clearHistory: 'مسح',
+    noNotifications: 'لا توجد إشعارات',
+    success: 'نجاح',
+    error: 'خطأ',
+    info: 'معلومات',
+    warning: 'تحذير',
+    dark: 'داكن',
+    light: 'فاتح'
+  },
+  he: {
+    action: 'פעולה',
+    close: 'סגירת ההתראה',
+    repeated: 'מספר חזרות: {count}',
+    loading: 'טוען...',
+    promiseSuccess: 'בוצע',
+    promiseError: 'משהו השתבש',
+    confirm: 'אישור',
+    cancel: 'ביטול',
+    closeConfirmation: 'ביטול האישור',
+    submit: 'שליחה',
+    inputPlaceholder: 'הזינו את תשובתכם...',
+    required: 'זהו שדה חובה',
+    invalidEmail: 'נא להזין כתובת אימייל תקינה',
+    invalidUrl: 'נא להזין כתובת URL תקינה',
+    invalidNumber: 'נא להזין מספר תקין',
+    notifications: 'התראות',
+    unreadNotifications: 'התראות, {count} שלא נקראו',
+    historyLabel: 'היסטוריית התראות',
+    filterByType: 'סינון לפי סוג',
+    allTypes: 'הכול',
+    markAllRead: 'סימון הכול כנקרא',
+    clearHistory: 'ניקוי',
+    noNotifications: 'אין התראות',
+    success: 'הצלחה',
+    error: 'שגיאה',
+    info: 'מידע',
+    warning: 'אזהרה',
+    dark: 'כהה',
+    light: 'בהיר'
+  },
+  fa: {
+    action: 'اقدام',
+    close: 'بستن اعلان',
+    repeated: '{count} بار تکرار شد',
+    loading: 'در حال بارگذاری...',
+    promiseSuccess: 'انجام شد',
+    promiseError: 'مشکلی پیش آمد',
+    confirm: 'تأیید',
+    cancel: 'لغو',
+    closeConfirmation: 'لغو تأیید',
+    submit: 'ارسال',
+    inputPlaceholder: 'پاسخ خود را وارد کنید...',
+    required: 'این فیلد الزامی است',
+    invalidEmail: 'لطفاً یک نشانی ایمیل معتبر وارد کنید',
+    invalidUrl: 'لطفاً یک نشانی اینترنتی معتبر وارد کنید',
+    invalidNumber: 'لطفاً یک عدد معتبر وارد کنید',
+    notifications: 'اعلان\u200cها',
+    unreadNotifications: 'اعلان\u200cها، {count} خوانده\u200cنشده',
+    historyLabel: 'تاریخچه اعلان\u200cها',
+    filterByType: 'فیلتر بر اساس نوع',
+    allTypes: 'همه',
+    markAllRead: 'علامت\u200cگذاری همه به\u200cعنوان خوانده\u200cشده',
+    clearHistory: 'پاک کردن',
+    noNotifications: 'اعلانی وجود ندارد',
+    success: 'موفقیت',
+    error: 'خطا',
+    info: 'اطلاعات',
+    warning: 'هشدار',
+    dark: 'تیره',
+    light: 'روشن'
+  },
+  de: {
+    action: 'Aktion',
+    close: 'Benachrichtigung schließen',
+    repeated: '{count}-mal wiederholt',
+    loading: 'Wird geladen...',
+    promiseSuccess: 'Fertig',
+    promiseError: 'Etwas ist schiefgelaufen',
+    confirm: 'Bestätigen',
+    cancel: 'Abbrechen',
+    closeConfirmation: 'Bestätigung abbrechen',
+    submit: 'Senden',
+    inputPlaceholder: 'Antwort eingeben...',
+    required: 'Dieses Feld ist erforderlich',
+    invalidEmail: 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+    invalidUrl: 'Bitte geben Sie eine gültige URL ein',
+    invalidNumber: 'Bitte geben Sie eine gültige Zahl ein',
+    notifications: 'Benachrichtigungen',
+    unreadNotifications: 'Benachrichtigungen, {count} ungelesen',
+    historyLabel: 'Benachrichtigungsverlauf',
+    filterByType: 'Nach Typ filtern',
+    allTypes: 'Alle',
+    markAllRead: 'Alle als gelesen markieren',
+    clearHistory: 'Leeren',
+    noNotifications: 'Keine Benachrichtigungen',
+    success: 'Erfolg',
+    error: 'Fehler',
+    info: 'Info',
+    warning: 'Warnung',
+    dark: 'Dunkel',
+    light: 'Hell'
+  },
+  es: {
+    action: 'Acción',
+    close: 'Cerrar notificación',
+    repeated: 'Repetida {count} veces',
+    loading: 'Cargando...',
+    promiseSuccess: 'Listo',
+    promiseError: 'Algo salió mal',
+    confirm: 'Confirmar',
+    cancel: 'Cancelar',
+    closeConfirmation: 'Cancelar confirmación',
+    submit: 'Enviar',
+    inputPlaceholder: 'Escribe tu respuesta...',
+    required: 'Este campo es obligatorio',
+    invalidEmail: 'Introduce una dirección de correo electrónico válida',
+    invalidUrl: 'Introduce una URL válida',
+    invalidNumber: 'Introduce un número válido',
+    notifications: 'Notificaciones',
+    unreadNotifications: 'Notificaciones, {count} sin leer',
+    historyLabel: 'Historial de notificaciones',
+    filterByType: 'Filtrar por tipo',
+    allTypes: 'Todas',
+    markAllRead: 'Marcar todas como leídas',
+    clearHistory: 'Borrar',
+    noNotifications: 'No hay notificaciones',
+    success: 'Éxito',
+    error: 'Error',
+    info: 'Información',
+    warning: 'Advertencia',
+    dark: 'Oscuro',
+    light: 'Claro'
+  },
+  fr: {
+    action: 'Action',
+    close: 'Fermer la notification',
+    repeated: 'Répétée {count} fois',
+    loading: 'Chargement...',
+    promiseSuccess: 'Terminé',
+    promiseError: 'Une erreur est survenue',
+    confirm: 'Confirmer',
+    cancel: 'Annuler',
+    closeConfirmation: 'Annuler la confirmation',
+    submit: 'Envoyer',
+    inputPlaceholder: 'Saisissez votre réponse...',
+    required: 'Ce champ est obligatoire',
+    invalidEmail: 'Veuillez saisir une adresse e-mail valide',
+    invalidUrl: 'Veuillez saisir une URL valide',
+    invalidNumber: 'Veuillez saisir un nombre valide',
+    notifications: 'Notifications',
+    unreadNotifications: 'Notifications, {count} non lues',
+    historyLabel: 'Historique des notifications',
+    filterByType: 'Filtrer par type',
+    allTypes: 'Toutes',
+    markAllRead: 'Tout marquer comme lu',
+    clearHistory: 'Effacer',
+    noNotifications: 'Aucune notification',
+    success: 'Succès',
+    error: 'Erreur',
+    info: 'Info',
+    warning: 'Avertissement',
+    dark: 'Sombre',
+    light: 'Clair'
+  },
+  pt: {
+    action: 'Ação',
+    close: 'Fechar notificação',
+    repeated: 'Repetida {count} vezes',
+    loading: 'Carregando...',
+    promiseSuccess: 'Concluído',
+    promiseError: 'Algo deu errado',
+    confirm: 'Confirmar',
+    cancel: 'Cancelar',
+    closeConfirmation: 'Cancelar confirmação',
+    submit: 'Enviar',
+    inputPlaceholder: 'Digite sua resposta...',
+    required: 'Este campo é obrigatório',
+    invalidEmail: 'Insira um endereço de e-mail válido',
+    invalidUrl: 'Insira uma URL válida',
+    invalidNumber: 'Insira um número válido',
+    notifications: 'Notificações',
+    unreadNotifications: 'Notificações, {count} não lidas',
+    historyLabel: 'Histórico de notificações',
+    filterByType: 'Filtrar por tipo',
+    allTypes: 'Todas',
+    markAllRead: 'Marcar todas como lidas',
+    clearHistory: 'Limpar',
+    noNotifications: 'Nenhuma notificação',
+    success: 'Sucesso',
+    error: 'Erro',
+    info: 'Informação',
+    warning: 'Aviso',
+    dark: 'Escuro',
+    light: 'Claro'
+  },
+  ru: {
+    action: 'Действие',
+    close: 'Закрыть уведомление',
+    repeated: 'Повторов: {count}',
+    loading: 'Загрузка...',
+    promiseSuccess: 'Готово',
+    promiseError: 'Что-то пошло не так',
+    confirm: 'Подтвердить',
+    cancel: 'Отмена',
+    closeConfirmation: 'Отменить подтверждение',
+    submit: 'Отправить',
+    inputPlaceholder: 'Введите ответ...',
+    required: 'Это поле обязательно для заполнения',
+    invalidEmail: 'Введите корректный адрес электронной почты',
+    invalidUrl: 'Введите корректный URL',
+    invalidNumber: 'Введите корректное число',
+    notifications: 'Уведомления',
+    unreadNotifications: 'Уведомления, непрочитанных: {count}',
+    historyLabel: 'История уведомлений',
+    filterByType: 'Фильтр по типу',
+    allTypes: 'Все',
+    markAllRead: 'Отметить все как прочитанные',
+    clearHistory: 'Очистить',
+    noNotifications: 'Нет уведомлений',
+    success: 'Успех',
+    error: 'Ошибка',
+    info: 'Информация',
+    warning: 'Предупреждение',
+    dark: 'Тёмный',
+    light: 'Светлый'
+  },
+  zh: {
+    action: '操作',
+    close: '关闭通知',
+    repeated: '重复 {count} 次',
+    loading: '加载中...',
+    promiseSuccess: '完成',
+    promiseError: '出了点问题',
+    confirm: '确认',
+    cancel: '取消',
+    closeConfirmation: '取消确认',
+    submit: '提交',
+    inputPlaceholder: '请输入您的回复...',
+    required: '此字段为必填项',
+    invalidEmail: '请输入有效的电子邮件地址',
+    invalidUrl: '请输入有效的网址',
+    invalidNumber: '请输入有效的数字',
+    notifications: '通知',
+    unreadNotifications: '通知，{count} 条未读',
+    historyLabel: '通知历史',
+    filterByType: '按类型筛选',
+    allTypes: '全部',
+    markAllRead: '全部标为已读',
+    clearHistory: '清除',
+    noNotifications: '暂无通知',
+    success: '成功',
+    error: '错误',
+    info: '信息',
+    warning: '警告',
+    dark: '深色',
+    light: '浅色'
+  },
+  ja: {
+    action: 'アクション',
+    close: '通知を閉じる',
+    repeated: '{count} 回繰り返し',
+    loading: '読み込み中...',
+    promiseSuccess: '完了',
+    promiseError: '問題が発生しました',
+    confirm: '確認',
+    cancel: 'キャンセル',
+    closeConfirmation: '確認をキャンセル',
+    submit: '送信',
+    inputPlaceholder: '回答を入力...',
+    required: 'この項目は必須です',
+    invalidEmail: '有効なメールアドレスを入力してください',
+    invalidUrl: '有効な URL を入力してください',
+    invalidNumber: '有効な数値を入力してください',
+    notifications: '通知',
+    unreadNotifications: '通知、未読 {count} 件',
+    historyLabel: '通知履歴',
+    filterByType: '種類で絞り込む',
+    allTypes: 'すべて',
+    markAllRead: 'すべて既読にする',
+    clearHistory: 'クリア',
+    noNotifications: '通知はありません',
+    success: '成功',
+    error: 'エラー',
+    info: '情報',
+    warning: '警告',
+    dark: 'ダーク',
+    light: 'ライト'
+  }
+};
+
+// Languages written right to left, for dir: 'auto' when the page doesn't set a direction
+const rtlLanguages = ['ar', 'he', 'iw', 'fa', 'ur', 'ps', 'sd', 'ug', 'yi', 'dv', 'ckb'];
+
+/**
+ * Swaps the horizontal side of a position for right-to-left layouts (top-right -> top-left)
+ * @param {string} position - Toast position
+ * @returns {string} Mirrored position (center positions are unchanged)
+ */
+function mirrorPosition(position) {
+  return position.replace(/left|right/, side => (side === 'left' ? 'right' : 'left'));
+}
+
+/**
+ * Makes a conf() or input() control awaitable: then/catch/finally follow the dialog's outcome
+ * @param {Object} control - Control object
+ * @param {Promise} outcome - Settles with true/false for conf(), the submitted value or null for input()
+ * @returns {Object} The same control
+ */
+function thenableControl(control, outcome) {
+  control.then = (onFulfilled, onRejected) => outcome.then(onFulfilled, onRejected);
+  control.catch = (onRejected) => outcome.catch(onRejected);
+  control.finally = (onFinally) => outcome.finally(onFinally);
+  return control;
+}
+
+/**
+ * Control for an input() prompt that was never shown (no DOM)
+ * @returns {Object} Control object whose methods do nothing
+ */
+function createDetachedInputControl() {
+  return {
+    element: null,
+    close() {},
+    setLoading() {},
+    getValue: () => '',
+    setValue() {},
+    setError() {},
+    clearError() {}
+  };
+}
+
 class ToastifyPro {
   /**
    * Creates a new ToastifyPro instance
@@ -44,9 +632,39 @@ class ToastifyPro {
    * @param {string} options.primaryColor - Primary color for custom() method
    * @param {string} options.secondaryColor - Secondary color for gradient in custom() method
    * @param {boolean} options.pauseOnHover - Pause timeout when hovering over toast (default: true)
+   * @param {boolean} options.pauseOnFocusWithin - Pause timeout while keyboard focus is inside a toast (default: false)
+   * @param {boolean} options.pauseOnPageHidden - Pause all toasts while the tab is hidden (default: false)
+   * @param {boolean} options.pauseOnWindowBlur - Pause all toasts while the window is not focused (default: false)
    * @param {number} options.maxToasts - Maximum number of visible toasts (0 for unlimited)
    * @param {boolean} options.newestOnTop - Show newest toasts on top (default: true)
    * @param {boolean} options.ariaLive - ARIA live region setting: 'polite' or 'assertive' (default: 'polite')
+   * @param {boolean} options.dedupe - Collapse identical active toasts into one with a repeat counter (default: false)
+   * @param {string} options.overflow - What to do when maxToasts is reached: 'evict' the oldest toast (default),
+   *   'queue' the new toast until a slot frees up, or 'drop' it
+   * @param {string} options.priority - Default toast priority: 'low', 'normal', 'high' or 'critical' (default: 'normal')
+   * @param {boolean} options.swipeToDismiss - Dismiss toasts by swiping/dragging them away (default: true)
+   * @param {number} options.swipeThreshold - Drag distance in pixels needed to dismiss (default: 80)
+   * @param {boolean} options.history - Record shown toasts for getHistory() and the history panel (default: false)
+   * @param {number} options.historyLimit - Maximum number of history entries kept (default: 50)
+   * @param {boolean} options.historyBell - Mount the built-in bell and history panel (implies history, default: false)
+   * @param {boolean|string} options.persist - Keep toasts across page reloads and navigations via sessionStorage.
+   *   Pass a string to name the stored list when several instances share a position (default: false)
+   * @param {boolean|string} options.broadcast - Sync toasts shown with { broadcast: true } across tabs.
+   *   Pass a string to use it as the channel name (default channel: 'toastify-pro').
+   * @param {string} options.appearance - Default theme for conf() and input(): 'dark', 'light' or
+   *   'auto' to follow the system color scheme (default: 'dark')
+   * @param {boolean|string} options.injectStyles - How the stylesheet is added: true for a <style> element (default),
+   *   'adopted' for document.adoptedStyleSheets, or false when loading dist/toastify-pro.css yourself
+   * @param {string} options.styleNonce - CSP nonce added to injected <style> elements
+   * @param {Element|ShadowRoot|Document} options.root - Where containers, overlays and styles are mounted,
+   *   e.g. a shadow root or an iframe's document (default: document)
+   * @param {Object} options.renderer - Custom renderer { mount, update, unmount } that replaces the built-in
+   *   DOM toasts; queueing, timers, pausing and dismissal still work the same (default: null)
+   * @param {string} options.dir - Text direction: 'ltr', 'rtl' (mirrors the layout and swaps left/right positions)
+   *   or 'auto' to follow the page's dir attribute, then the locale (default: 'ltr')
+   * @param {string} options.locale - Language of built-in labels, aria-labels and validation errors, e.g. 'ar'
+   *   or 'pt-BR', or 'auto' for the page's lang attribute, then the browser language (default: 'en')
+   * @param {Object} options.messages - Overrides for built-in strings by key, e.g. { confirm: 'Yes' }
    */
   constructor(options = {}) {
     // Validate options parameter
@@ -64,14 +682,79 @@ class ToastifyPro {
       primaryColor: options.primaryColor || null, // Custom primary color for custom() method
       secondaryColor: options.secondaryColor || null, // Custom secondary color for gradient
       pauseOnHover: options.pauseOnHover !== false, // default true - pause timeout on hover
+      pauseOnFocusWithin: options.pauseOnFocusWithin || false, // pause while a toast has focus
+      pauseOnPageHidden: options.pauseOnPageHidden || false, // pause while the tab is hidden
+      pauseOnWindowBlur: options.pauseOnWindowBlur || false, // pause while the window is not focused
       maxToasts: options.maxToasts || 0, // 0 = unlimited
       newestOnTop: options.newestOnTop !== false, // default true
       ariaLive: options.ariaLive || 'polite', // 'polite' or 'assertive'
+      dedupe: options.dedupe || false, // collapse identical toasts into a "×N" counter
+      overflow: options.overflow || 'evict', // 'evict', 'queue' or 'drop' when maxToasts is reached
+      priority: options.priority || 'normal', // 'low', 'normal', 'high' or 'critical'
+      swipeToDismiss: options.swipeToDismiss !== false, // default true
+      swipeThreshold: options.swipeThreshold || 80, // px dragged before a swipe dismisses
+      history: options.history || options.historyBell || false, // record toasts for the history panel
+      historyLimit: options.historyLimit || 50,
+      historyBell: options.historyBell || false, // mount the built-in bell/history panel
+      persist: options.persist || false, // survive reloads/navigations via sessionStorage (true or a storage name)
+      broadcast: options.broadcast || false, // cross-tab sync channel (true or channel name)
+      appearance: options.appearance || 'dark', // conf()/input() theme: 'dark', 'light' or 'auto'
+      injectStyles: options.injectStyles === undefined ? true : options.injectStyles, // true, 'adopted' or false
+      styleNonce: options.styleNonce || null, // CSP nonce for injected <style> elements
+      root: options.root || null, // element, ShadowRoot or Document to mount into (default: document)
+      renderer: options.renderer || null, // custom { mount, update, unmount } instead of DOM toasts
+      dir: options.dir || 'ltr', // 'ltr', 'rtl' or 'auto'
+      locale: options.locale || 'en', // language of built-in strings, or 'auto'
+      messages: options.messages || null, // overrides for built-in strings (key -> text)
     };
     
     // Track active toasts for queue management
     this.activeToasts = [];
 
+    // Toasts waiting for a free slot when overflow is 'queue'
+    this.pendingToasts = [];
+
+    // Lifecycle event handlers registered with on()
+    this.listeners = {};
+
+    // Toast list store: subscribe() listeners, the cached snapshot, and dismissed
+    // toasts that are still animating out (no longer in activeToasts)
+    this.storeListeners = new Set();
+    this.snapshot = emptySnapshot;
+    this.removingToasts = [];
+    // Bound, so they can be passed around (e.g. to React's useSyncExternalStore)
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+
+    // Notification history (newest first) and the mounted bell/panel, if any
+    this.historyEntries = [];
+    this.historyBell = null;
+
+    // Validate overflow mode
+    const validOverflowModes = ['evict', 'queue', 'drop'];
+    if (!validOverflowModes.includes(this.defaultOptions.overflow)) {
+      console.warn(`ToastifyPro: Invalid overflow mode "${this.defaultOptions.overflow}". Using "evict".`);
+      this.defaultOptions.overflow = 'evict';
+    }
+
+    // Validate priority
+    if (!(this.defaultOptions.priority in priorityLevels)) {
+      console.warn(`ToastifyPro: Invalid priority "${this.defaultOptions.priority}". Using "normal".`);
+      this.defaultOptions.priority = 'normal';
+    }
+
+    // Validate appearance
+    if (!['dark', 'light', 'auto'].includes(this.defaultOptions.appearance)) {
+      console.warn(`ToastifyPro: Invalid appearance "${this.defaultOptions.appearance}". Using "dark".`);
+      this.defaultOptions.appearance = 'dark';
+    }
+
+    // Validate style injection mode
+    if (![true, false, 'adopted'].includes(this.defaultOptions.injectStyles)) {
+      console.warn(`ToastifyPro: Invalid injectStyles "${this.defaultOptions.injectStyles}". Using true.`);
+      this.defaultOptions.injectStyles = true;
+    }
+
     // Validate position
     const validPositions = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'top-center', 'bottom-center', 'center'];
     if (!validPositions.includes(this.defaultOptions.position)) {
@@ -79,46 +762,214 @@ class ToastifyPro {
       this.defaultOptions.position = "bottom-center";
     }
 
-    // Check if we're in a browser environment
+    // Validate direction
+    if (!['ltr', 'rtl', 'auto'].includes(this.defaultOptions.dir)) {
+      console.warn(`ToastifyPro: Invalid dir "${this.defaultOptions.dir}". Using "ltr".`);
+      this.defaultOptions.dir = 'ltr';
+    }
+
+    // Validate locale and messages
+    if (typeof this.defaultOptions.locale !== 'string') {
+      console.warn('ToastifyPro: Invalid locale. Using "en".');
+      this.defaultOptions.locale = 'en';
+    }
+    if (this.defaultOptions.messages !== null && typeof this.defaultOptions.messages !== 'object') {
+      console.warn('ToastifyPro: Invalid messages (expected an object of strings by key). Ignoring them.');
+      this.defaultOptions.messages = null;
+    }
+
+    // Validate renderer
+    const { renderer } = this.defaultOptions;
+    if (renderer && !['mount', 'update', 'unmount'].every(method => typeof renderer[method] === 'function')) {
+      console.warn('ToastifyPro: Invalid renderer (mount, update and unmount must be functions). Using the DOM renderer.');
+      this.defaultOptions.renderer = null;
+    }
+
+    // Renders tracked toasts: the custom renderer, or the built-in DOM renderer
+    this.renderer = this.defaultOptions.renderer || {
+      mount: (toast, controls) => this.mountToastElement(toast, controls),
+      update: (toast, changes) => this.updateToastElement(toast, changes),
+      unmount: (toast, done) => this.animateToastOut(toast.element, done)
+    };
+
+    // Stylesheets are shared by all instances, so the latest explicit settings apply
+    applyStyleSettings({
+      injectStyles: options.injectStyles !== undefined ? this.defaultOptions.injectStyles : undefined,
+      styleNonce: this.defaultOptions.styleNonce
+    });
+
+    // DOM state, created by initDOM() when the first toast is shown
+    this.isDOMReady = false;
+    this.root = null;
+    this.mountNode = null;
+    this.styleRoot = null;
+    this.ownerDocument = null;
+    this.container = null;
+
+    // Cross-tab synchronization
+    this.broadcastChannel = null;
+    this.isApplyingBroadcast = false; // Set while replaying another tab's change, so it isn't echoed back
+
+    // document/window listeners removed by destroy() ({ target, type, handler })
+    this.pageListeners = [];
+    this.isDestroyed = false;
+
+    // The history bell, persisted toasts and the broadcast channel are set up with
+    // the container (see setupFeatures()), so constructing has no side effects
+    this.hasFeatures = false;
+    this.persistKey = null; // sessionStorage key of this instance's persisted toasts
+  }
+
+  /**
+   * Sets the instance up now rather than on its first toast: the container and styles,
+   * the history bell, toasts persisted by the previous page (and flash messages) and
+   * the broadcast channel. Does nothing on the server.
+   * @returns {boolean} Whether the instance is ready (false on the server)
+   *
+   * @example
+   * const toast = new ToastifyPro({ persist: true, broadcast: true });
+   * toast.init(); // restore the previous page's toasts and listen to other tabs right away
+   */
+  init() {
+    if (typeof document === 'undefined') return false;
+    return this.initToasts();
+  }
+
+  /**
+   * Mounts the history bell, shows persisted toasts and flash messages and joins the
+   * broadcast channel, once, when the instance is first set up in a browser
+   */
+  setupFeatures() {
+    if (this.hasFeatures || this.isDestroyed || typeof document === 'undefined') return;
+    this.hasFeatures = true;
+
+    // Each instance keeps its own persisted toasts, so instances don't overwrite each other's
+    this.persistKey = claimPersistKey(this);
+
+    // Mount the notification history bell if requested
+    if (this.defaultOptions.historyBell) {
+      this.mountHistoryBell();
+    }
+
+    // Show toasts persisted by the previous page and flash messages
+    this.restorePersistedToasts();
+
+    if (this.defaultOptions.broadcast) {
+      this.setupBroadcast();
+    }
+  }
+
+  /**
+   * Creates the container, styles and document listeners on first use, so constructing
+   * an instance has no DOM side effects and is safe during server-side rendering
+   * @returns {boolean} Whether the DOM is available (false on the server)
+   */
+  initDOM() {
+    if (this.isDOMReady) return true;
+
     if (typeof document === 'undefined') {
-      throw new Error('ToastifyPro: This library requires a DOM environment (browser).');
+      if (!this.hasWarnedNoDOM) {
+        console.warn('ToastifyPro: No DOM available (server-side rendering?). Toasts are ignored.');
+        this.hasWarnedNoDOM = true;
+      }
+      return false;
+    }
+
+    // Validate root: an element, a shadow root or a document
+    let root = this.defaultOptions.root || document;
+    if (!root || ![1, 9, 11].includes(root.nodeType)) {
+      console.warn('ToastifyPro: Invalid root. Using document.');
+      root = document;
     }
+    this.root = root;
+    // Node that containers and overlays are appended to
+    this.mountNode = root.nodeType === 9 ? root.body : root;
+    // Document or shadow root that holds the styles (an element's own tree)
+    const rootNode = root.nodeType === 1 ? root.getRootNode() : root;
+    this.styleRoot = rootNode.nodeType === 9 || rootNode.nodeType === 11 ? rootNode : document;
+    this.ownerDocument = this.styleRoot.nodeType === 9 ? this.styleRoot : this.styleRoot.ownerDocument;
 
     // Create or reuse container for this position
-    const existing = document.querySelector(
-      `.toastify-pro-container.${this.defaultOptions.position}`
-    );
-    
-    if (existing) {
-      this.container = existing;
-    } else {
-      try {
-        this.container = document.createElement("div");
-        this.container.className = `toastify-pro-container ${this.defaultOptions.position}`;
-        document.body.appendChild(this.container);
-      } catch (error) {
-        throw new Error('ToastifyPro: Failed to create container element. DOM may not be ready.');
-      }
+    try {
+      this.container = this.getContainer(this.defaultOptions.position);
+    } catch (error) {
+      throw new Error('ToastifyPro: Failed to create container element. DOM may not be ready.');
     }
 
-    // Inject styles once
-    this.injectStyles();
+    // Inject styles once (skipped when the stylesheet is loaded from dist/toastify-pro.css)
+    if (this.defaultOptions.injectStyles !== false) {
+      this.injectStyles();
+    }
+
+    // Registered types and theme tokens apply in every root
+    if (!styleRoots.has(this.styleRoot)) {
+      styleRoots.add(this.styleRoot);
+      Object.keys(sharedStyleSheets).forEach(id => writeStyleSheet(id, sharedStyleSheets[id], this.styleRoot));
+    }
     
     // Setup global keyboard event listener for accessibility
     this.setupKeyboardNavigation();
+
+    // Pause timers while the user is away from the page
+    this.setupPagePause();
+
+    this.isDOMReady = true;
+    this.setupFeatures();
+    return true;
   }
   
+  /**
+   * Prepares for showing toasts: the DOM renderer needs the container and styles
+   * (see initDOM()), a custom renderer only the page pause listeners
+   * @returns {boolean} Whether toasts can be shown (false on the server with the DOM renderer)
+   */
+  initToasts() {
+    if (!this.defaultOptions.renderer) return this.initDOM();
+
+    if (typeof document !== 'undefined') {
+      this.setupPagePause();
+      this.setupFeatures();
+    }
+    return true;
+  }
+
+  /**
+   * Gets or creates the container for a position and direction inside this instance's root.
+   * Right-to-left layouts use the mirrored side (top-right -> top-left).
+   * @param {string} position - Toast position
+   * @returns {HTMLElement} Container element
+   */
+  getContainer(position) {
+    const dir = this.resolveDirection();
+    if (dir === 'rtl') {
+      position = mirrorPosition(position);
+    }
+
+    // Instances with different directions get their own containers
+    const existing = this.root.querySelector(`.toastify-pro-container.${position}[dir="${dir}"]`);
+    if (existing) return existing;
+
+    const container = this.ownerDocument.createElement("div");
+    container.className = `toastify-pro-container ${position}`;
+    // Toasts, confirmations and input prompts inherit the direction
+    container.setAttribute('dir', dir);
+    this.mountNode.appendChild(container);
+    return container;
+  }
+
   /**
    * Sets up keyboard navigation for accessibility
    * - Escape key dismisses the most recent toast or confirmation
    * - Tab key cycles through focusable elements in confirmations
    */
   setupKeyboardNavigation() {
-    // Only setup once globally
-    if (window._toastifyProKeyboardSetup) return;
-    window._toastifyProKeyboardSetup = true;
+    // Only setup once per document (keydown from shadow roots reaches the host document)
+    const doc = this.ownerDocument;
+    const view = doc.defaultView || window;
+    if (view._toastifyProKeyboardSetup) return;
+    view._toastifyProKeyboardSetup = true;
     
-    document.addEventListener('keydown', (e) => {
+    doc.addEventListener('keydown', (e) => {
       // Escape key - dismiss toast or confirmation
       if (e.key === 'Escape') {
         // First check for active confirmation
@@ -130,14 +981,19 @@ class ToastifyPro {
           return;
         }
         
-        // Otherwise dismiss the most recent toast
-        const containers = document.querySelectorAll('.toastify-pro-container');
+        // Otherwise dismiss the most recent toast in each container of this document and its shadow roots
+        const containers = new Set();
+        styleRoots.forEach(target => {
+          if ((target.nodeType === 9 ? target : target.ownerDocument) === doc) {
+            target.querySelectorAll('.toastify-pro-container').forEach(container => containers.add(container));
+          }
+        });
         containers.forEach(container => {
           const toasts = container.querySelectorAll('.toastify-pro:not(.confirmation)');
           if (toasts.length > 0) {
             const lastToast = toasts[toasts.length - 1];
             if (lastToast && lastToast._toastInstance) {
-              lastToast._toastInstance.removeToast(lastToast);
+              lastToast._toastInstance.removeToast(lastToast, 'escape');
             }
           }
         });
@@ -145,9 +1001,236 @@ class ToastifyPro {
     });
   }
 
+  /**
+   * Pauses every active toast while the tab is hidden (pauseOnPageHidden) or the
+   * window has lost focus (pauseOnWindowBlur), and resumes them on return
+   */
+  setupPagePause() {
+    // Once per instance (initDOM() may follow initToasts() with a custom renderer)
+    if (this.hasPagePause) return;
+    this.hasPagePause = true;
+
+    const { pauseOnPageHidden, pauseOnWindowBlur } = this.defaultOptions;
+    // The root's document and window (a custom renderer has no root: use the page's)
+    const doc = this.ownerDocument || document;
+    const view = doc.defaultView || window;
+
+    const setPaused = (source, paused) => {
+      // Copy: resuming may dismiss toasts whose time ran out meanwhile
+      [...this.activeToasts].forEach(toastData => {
+        if (paused) {
+          this.pauseToast(toastData, source);
+        } else {
+          this.resumeToast(toastData, source);
+        }
+      });
+    };
+
+    if (pauseOnPageHidden) {
+      this.addPageListener(doc, 'visibilitychange', () => {
+        setPaused('hidden', doc.visibilityState === 'hidden');
+      });
+    }
+
+    if (pauseOnWindowBlur) {
+      this.addPageListener(view, 'blur', () => setPaused('blur', true));
+      this.addPageListener(view, 'focus', () => setPaused('blur', false));
+    }
+  }
+
+  /**
+   * Adds a document or window listener that destroy() removes
+   * @param {EventTarget} target - document or window
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   */
+  addPageListener(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.pageListeners.push({ target, type, handler });
+  }
+
+  /**
+   * Registers a handler for a toast lifecycle event
+   * @param {string} event - Event name: show, update, pause, resume, dismiss, removed, action,
+   *   confirm, cancel, inputSubmit or inputCancel
+   * @param {Function} handler - Called with an event payload ({ id, element, ... })
+   * @returns {Function} Function that unregisters the handler
+   * 
+   * @example
+   * toast.on('dismiss', ({ id, reason }) => analytics.track('toast_dismissed', { id, reason }));
+   */
+  on(event, handler) {
+    if (!toastEvents.includes(event)) {
+      console.warn(`ToastifyPro: Unknown event "${event}".`);
+    }
+    if (typeof handler !== 'function') {
+      console.warn('ToastifyPro: Event handler must be a function.');
+      return () => {};
+    }
+
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unregisters event handlers
+   * @param {string} event - Event name (omit to remove all handlers)
+   * @param {Function} handler - Handler to remove (omit to remove all handlers for the event)
+   */
+  off(event, handler) {
+    if (!event) {
+      this.listeners = {};
+    } else if (!handler) {
+      delete this.listeners[event];
+    } else if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
+  }
+
+  /**
+   * Calls the handlers registered for an event
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload) {
+    const handlers = this.listeners[event] || [];
+
+    [...handlers].forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`ToastifyPro: Error in "${event}" event handler:`, error);
+      }
+    });
+
+    if (storeEvents.includes(event)) {
+      this.notifyStore();
+    }
+  }
+
+  /**
+   * Subscribes to the toast list. Works as a Svelte store and with React's
+   * useSyncExternalStore: the listener is called with the current snapshot right away
+   * and with a new one after every change.
+   * @param {Function} listener - Called with the snapshot (see getSnapshot())
+   * @returns {Function} Function that unsubscribes the listener
+   *
+   * @example
+   * const toasts = useSyncExternalStore(toast.subscribe, toast.getSnapshot);
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.warn('ToastifyPro: Store listener must be a function.');
+      return () => {};
+    }
+
+    this.storeListeners.add(listener);
+    listener(this.snapshot);
+    return () => this.storeListeners.delete(listener);
+  }
+
+  /**
+   * Returns the toast list as a frozen array, which stays the same object until the
+   * list changes. Each entry is frozen too:
+   * { id, type, message, description, count, createdAt, remaining, paused, removing, loading }
+   * remaining is the auto-dismiss time left (ms) when the snapshot was taken, or null
+   * for toasts that stay open.
+   * @returns {Object[]} Toasts in the order they were shown, including those animating out
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * Rebuilds the snapshot and calls the subscribe() listeners
+   */
+  notifyStore() {
+    const snapshot = [...this.activeToasts, ...this.removingToasts]
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(toastData => Object.freeze(this.getToastState(toastData)));
+    this.snapshot = snapshot.length ? Object.freeze(snapshot) : emptySnapshot;
+
+    [...this.storeListeners].forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('ToastifyPro: Error in store listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Describes a tracked toast for getSnapshot() and renderers
+   * @param {Object} toastData - Entry from activeToasts (or a toast animating out)
+   * @returns {Object} { id, type, message, description, count, createdAt, remaining, paused, removing, loading }
+   */
+  getToastState(toastData) {
+    let remaining = null;
+    if (toastData.isRemoving) {
+      remaining = 0;
+    } else if (toastData.timeout) {
+      remaining = Math.max(toastData.remainingTime - (Date.now() - toastData.startTime), 0);
+    } else if (toastData.remainingTime > 0) {
+      remaining = toastData.remainingTime; // Paused
+    }
+
+    return {
+      id: toastData.id,
+      type: toastData.type,
+      message: toastData.message,
+      description: toastData.description,
+      count: toastData.count,
+      createdAt: toastData.createdAt,
+      remaining,
+      paused: toastData.isPaused,
+      removing: toastData.isRemoving,
+      loading: toastData.loading
+    };
+  }
+
+  /**
+   * Describes a tracked toast for the renderer: getToastState() plus the merged
+   * options, the dismissal reason, what mount() returned (element) and the text direction (dir)
+   * @param {Object} toastData - Entry from activeToasts (or a toast animating out)
+   * @returns {Object} Toast state for renderer.mount(), update() and unmount()
+   */
+  getRenderState(toastData) {
+    return {
+      ...this.getToastState(toastData),
+      options: toastData.options,
+      reason: toastData.reason,
+      element: toastData.element,
+      dir: this.resolveDirection()
+    };
+  }
+
+  /**
+   * Finds the tracked toast for an element or an activeToasts entry
+   * @param {HTMLElement|Object} toast - Toast element (DOM renderer) or entry from activeToasts
+   * @returns {Object|null} Entry from activeToasts, or null if the toast isn't active
+   */
+  findToastData(toast) {
+    if (!toast) return null;
+    return this.activeToasts.find(t => t === toast || t.element === toast) || null;
+  }
+
+  /**
+   * Passes changes of a tracked toast to the renderer
+   * @param {Object} toastData - Entry from activeToasts
+   * @param {Object} changes - Changed fields: message, description, type, count, paused,
+   *   loading, or remaining when the timer (and progress bar) restarted
+   */
+  renderToast(toastData, changes) {
+    try {
+      this.renderer.update(this.getRenderState(toastData), changes);
+    } catch (error) {
+      console.error('ToastifyPro: Error rendering toast:', error);
+    }
+  }
+
   /**
    * Returns the SVG icon for a given toast type
-   * @param {string} type - Toast type (success, error, info, warning, dark, light)
+   * @param {string} type - Toast type (success, error, info, warning, dark, light, loading or a registered type)
    * @returns {string} SVG icon markup
    */
   getIconSVG(type) {
@@ -157,6 +1240,10 @@ class ToastifyPro {
       type = 'info';
     }
 
+    if (customTypes[type] && customTypes[type].icon) {
+      return customTypes[type].icon;
+    }
+
     const icons = {
       success: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
         <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z" fill="currentColor"/>
@@ -175,6 +1262,10 @@ class ToastifyPro {
       </svg>`,
       light: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
         <path d="M9 11H7v6h2v-6zm4 0h-2v6h2v-6zm4 0h-2v6h2v-6zm2.5-9H19V1h-2v1H7V1H5v1H4.5C3.11 2 2 3.11 2 4.5v14C2 19.89 3.11 21 4.5 21h15c1.39 0 2.5-1.11 2.5-2.5v-14C22 3.11 20.89 2 19.5 2zm0 16h-15v-11h15v11z" fill="currentColor"/>
+      </svg>`,
+      loading: `<svg width="20" height="20" viewBox="0 0 19 19" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <path d="M9.5 2.9375V5.5625M9.5 13.4375V16.0625M2.9375 9.5H5.5625M13.4375 9.5H16.0625" stroke="currentColor" stroke-width="1.875" stroke-linecap="round" />
+        <path d="M4.86011 4.85961L6.71627 6.71577M12.2847 12.2842L14.1409 14.1404M4.86011 14.1404L6.71627 12.2842M12.2847 6.71577L14.1409 4.85961" stroke="currentColor" stroke-width="1.875" stroke-linecap="round" />
       </svg>`
     };
     
@@ -183,43 +1274,65 @@ class ToastifyPro {
 
   /**
    * Injects the CSS styles into the document head
-   * Styles include glassmorphism design, animations, and responsive layout
+   * Styles include glassmorphism design, animations, and responsive layout.
+   * The stylesheet literal below is also extracted to dist/toastify-pro.css at build time.
    */
   injectStyles() {
     // Prevent duplicate style injection
-    if (document.getElementById("toastify-pro-styles")) return;
+    if (hasStyleSheet("toastify-pro-styles", this.styleRoot)) return;
     
     try {
-      const style = document.createElement("style");
-      style.id = "toastify-pro-styles";
-      style.textContent = `
+      writeStyleSheet("toastify-pro-styles", `
     @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&display=swap');
     
+    /*
+     * Design tokens - set these custom properties on :root (or the root element / shadow host
+     * given as the root option) or with ToastifyPro.setTheme(). Defaults are the var() fallbacks.
+     * Set on .toastify-pro-container, they reach toasts and dialogs but not the dialog overlay,
+     * which is appended to the root.
+     *
+     * Layout:     --toastify-z-index, --toastify-offset-x, --toastify-offset-y, --toastify-gap,
+     *             --toastify-min-width, --toastify-max-width, --toastify-padding, --toastify-radius
+     * Text:       --toastify-font-family, --toastify-font-size, --toastify-description-size,
+     *             --toastify-text-color, --toastify-light-text-color
+     * Surface:    --toastify-blur, --toastify-border, --toastify-shadow, --toastify-shimmer,
+     *             --toastify-icon-{bg,border,shadow}, --toastify-close-{bg,hover-bg,border,hover-border}
+     * Progress:   --toastify-progress-height, --toastify-progress-color
+     * Types:      --toastify-{type}-bg and --toastify-{type}-border for success, error, info,
+     *             warning, dark and light; --toastify-custom-border
+     * Dialogs:    --toastify-dialog-radius, --toastify-dialog-border, --toastify-dialog-shadow,
+     *             --toastify-overlay-bg, --toastify-overlay-blur, --toastify-overlay-z-index
+     * Buttons:    --toastify-button-radius, --toastify-confirm-{bg,hover-bg,color,border},
+     *             --toastify-cancel-{bg,hover-bg,color,border}, --toastify-input-{bg,border}
+     *             (light dialogs: the same names with a light- prefix, e.g. --toastify-light-confirm-bg)
+     * Light:      light toasts and dialogs read the shimmer, progress-color, icon-* and close-*
+     *             tokens with a light- prefix, e.g. --toastify-light-icon-bg
+     */
     .toastify-pro-container {
       position: fixed;
-      z-index: 9999;
+      z-index: var(--toastify-z-index, 9999);
       display: flex;
       flex-direction: column;
-      gap: 16px;
+      gap: var(--toastify-gap, 16px);
       pointer-events: none;
     }
-    .toastify-pro-container.top-left { top: 50px; left: 24px; align-items: flex-start; }
-    .toastify-pro-container.top-right { top: 50px; right: 24px; align-items: flex-end; }
-    .toastify-pro-container.bottom-left { bottom: 50px; left: 24px; align-items: flex-start; }
-    .toastify-pro-container.bottom-right { bottom: 50px; right: 24px; align-items: flex-end; }
-    .toastify-pro-container.top-center { top: 50px; left: 50%; transform: translateX(-50%); }
-    .toastify-pro-container.bottom-center { bottom: 50px; left: 50%; transform: translateX(-50%); }
+    .toastify-pro-container.top-left { top: var(--toastify-offset-y, 50px); left: var(--toastify-offset-x, 24px); align-items: flex-start; }
+    .toastify-pro-container.top-right { top: var(--toastify-offset-y, 50px); right: var(--toastify-offset-x, 24px); align-items: flex-end; }
+    .toastify-pro-container.bottom-left { bottom: var(--toastify-offset-y, 50px); left: var(--toastify-offset-x, 24px); align-items: flex-start; }
+    .toastify-pro-container.bottom-right { bottom: var(--toastify-offset-y, 50px); right: var(--toastify-offset-x, 24px); align-items: flex-end; }
+    .toastify-pro-container.top-center { top: var(--toastify-offset-y, 50px); left: 50%; transform: translateX(-50%); }
+    .toastify-pro-container.bottom-center { bottom: var(--toastify-offset-y, 50px); left: 50%; transform: translateX(-50%); }
     .toastify-pro-container.center { top: 50%; left: 50%; transform: translate(-50%, -50%); }
 
     .toastify-pro {
-      min-width: 280px;
-      max-width: 400px;
-      padding: 20px 24px;
-      border-radius: 16px;
-      font-size: 15px;
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      min-width: var(--toastify-min-width, 280px);
+      max-width: var(--toastify-max-width, 400px);
+      padding: var(--toastify-padding, 20px 24px);
+      border-radius: var(--toastify-radius, 16px);
+      font-size: var(--toastify-font-size, 15px);
+      font-family: var(--toastify-font-family, 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif);
       font-weight: 500;
-      color: white;
+      color: var(--toastify-text-color, white);
       opacity: 0;
       transform: scale(0.3);
       transition: all 0.6s cubic-bezier(0.175, 0.885, 0.32, 1.275);
@@ -228,12 +1341,12 @@ class ToastifyPro {
       display: flex;
       align-items: center;
       gap: 16px;
-      backdrop-filter: blur(20px);
-      border: 1px solid rgba(255, 255, 255, 0.1);
-      box-shadow: 
+      backdrop-filter: blur(var(--toastify-blur, 20px));
+      border: var(--toastify-border, 1px solid rgba(255, 255, 255, 0.1));
+      box-shadow: var(--toastify-shadow,
         0 20px 25px -5px rgba(0, 0, 0, 0.1),
         0 10px 10px -5px rgba(0, 0, 0, 0.04),
-        0 0 0 1px rgba(255, 255, 255, 0.05);
+        0 0 0 1px rgba(255, 255, 255, 0.05));
       overflow: hidden;
     }
     
@@ -244,10 +1357,10 @@ class ToastifyPro {
       left: 0;
       right: 0;
       height: 3px;
-      background: linear-gradient(90deg, 
+      background: var(--toastify-shimmer, linear-gradient(90deg, 
         rgba(255, 255, 255, 0.8) 0%,
         rgba(255, 255, 255, 0.4) 50%,
-        rgba(255, 255, 255, 0.8) 100%);
+        rgba(255, 255, 255, 0.8) 100%));
       animation: shimmer 2s infinite;
       transition: opacity 0.8s ease;
     }
@@ -257,10 +1370,10 @@ class ToastifyPro {
       position: absolute;
       bottom: 0;
       left: 0;
-      height: 3px;
-      background: rgba(255, 255, 255, 0.6);
+      height: var(--toastify-progress-height, 3px);
+      background: var(--toastify-progress-color, rgba(255, 255, 255, 0.6));
       animation: progress var(--duration, 5s) linear;
-      border-radius: 0 0 16px 16px;
+      border-radius: 0 0 var(--toastify-radius, 16px) var(--toastify-radius, 16px);
     }
     
     @keyframes airdropPop {
@@ -394,60 +1507,60 @@ class ToastifyPro {
     }
     
     .toastify-pro.success { 
-      background: linear-gradient(135deg, 
+      background: var(--toastify-success-bg, linear-gradient(135deg,
         rgba(34, 197, 94, 0.9) 0%,
-        rgba(21, 128, 61, 0.9) 100%);
-      border-color: rgba(34, 197, 94, 0.3);
+        rgba(21, 128, 61, 0.9) 100%));
+      border-color: var(--toastify-success-border, rgba(34, 197, 94, 0.3));
     }
     
     .toastify-pro.error { 
-      background: linear-gradient(135deg, 
+      background: var(--toastify-error-bg, linear-gradient(135deg,
         rgba(239, 68, 68, 0.9) 0%,
-        rgba(185, 28, 28, 0.9) 100%);
-      border-color: rgba(239, 68, 68, 0.3);
+        rgba(185, 28, 28, 0.9) 100%));
+      border-color: var(--toastify-error-border, rgba(239, 68, 68, 0.3));
     }
     
     .toastify-pro.info { 
-      background: linear-gradient(135deg, 
+      background: var(--toastify-info-bg, linear-gradient(135deg,
         rgba(59, 130, 246, 0.9) 0%,
-        rgba(29, 78, 216, 0.9) 100%);
-      border-color: rgba(59, 130, 246, 0.3);
+        rgba(29, 78, 216, 0.9) 100%));
+      border-color: var(--toastify-info-border, rgba(59, 130, 246, 0.3));
     }
     
     .toastify-pro.warning { 
-      background: linear-gradient(135deg, 
+      background: var(--toastify-warning-bg, linear-gradient(135deg,
         rgba(245, 158, 11, 0.9) 0%,
-        rgba(217, 119, 6, 0.9) 100%);
-      border-color: rgba(245, 158, 11, 0.3);
+        rgba(217, 119, 6, 0.9) 100%));
+      border-color: var(--toastify-warning-border, rgba(245, 158, 11, 0.3));
     }
     
     .toastify-pro.dark { 
-      background: linear-gradient(135deg, 
+      background: var(--toastify-dark-bg, linear-gradient(135deg,
         rgba(15, 23, 42, 0.95) 0%,
-        rgba(30, 41, 59, 0.95) 100%);
-      border-color: rgba(148, 163, 184, 0.2);
+        rgba(30, 41, 59, 0.95) 100%));
+      border-color: var(--toastify-dark-border, rgba(148, 163, 184, 0.2));
     }
     
     .toastify-pro.light { 
-      background: linear-gradient(135deg, 
+      background: var(--toastify-light-bg, linear-gradient(135deg,
         rgba(255, 255, 255, 0.95) 0%,
-        rgba(248, 250, 252, 0.95) 100%);
-      color: #1e293b;
-      border-color: rgba(226, 232, 240, 0.8);
+        rgba(248, 250, 252, 0.95) 100%));
+      color: var(--toastify-light-text-color, #1e293b);
+      border-color: var(--toastify-light-border, rgba(226, 232, 240, 0.8));
       box-shadow: 
         0 20px 25px -5px rgba(0, 0, 0, 0.08),
         0 10px 10px -5px rgba(0, 0, 0, 0.03);
     }
     
     .toastify-pro.light::before {
-      background: linear-gradient(90deg, 
+      background: var(--toastify-light-shimmer, linear-gradient(90deg, 
         rgba(30, 41, 59, 0.8) 0%,
         rgba(30, 41, 59, 0.4) 50%,
-        rgba(30, 41, 59, 0.8) 100%);
+        rgba(30, 41, 59, 0.8) 100%));
     }
     
     .toastify-pro.light::after {
-      background: rgba(30, 41, 59, 0.6);
+      background: var(--toastify-light-progress-color, rgba(30, 41, 59, 0.6));
     }
 
     .toastify-pro .toast-icon {
@@ -458,8 +1571,8 @@ class ToastifyPro {
       width: 28px;
       height: 28px;
       border-radius: 50%;
-      background: rgba(255, 255, 255, 0.2);
-      backdrop-filter: blur(10px);
+      background: var(--toastify-icon-bg, rgba(255, 255, 255, 0.2));
+      backdrop-filter: blur(var(--toastify-blur, 10px));
       animation: iconPulse 2s infinite;
     }
     
@@ -508,7 +1621,7 @@ class ToastifyPro {
     }
 
     .toastify-pro.light .toast-icon {
-      background: rgba(15, 23, 42, 0.1);
+      background: var(--toastify-light-icon-bg, rgba(15, 23, 42, 0.1));
     }
 
     .toastify-pro .toast-content {
@@ -519,13 +1632,13 @@ class ToastifyPro {
     }
 
     .toastify-pro .toast-message {
-      font-size: 15px;
+      font-size: var(--toastify-font-size, 15px);
       font-weight: 500;
       margin-bottom: 0;
     }
 
     .toastify-pro .toast-description {
-      font-size: 13px;
+      font-size: var(--toastify-description-size, 13px);
       font-weight: 400;
       opacity: 0.85;
       margin-top: 4px;
@@ -547,24 +1660,24 @@ class ToastifyPro {
       display: flex;
       align-items: center;
       justify-content: center;
-      background: rgba(255, 255, 255, 0.1);
-      backdrop-filter: blur(10px);
+      background: var(--toastify-close-bg, rgba(255, 255, 255, 0.1));
+      backdrop-filter: blur(var(--toastify-blur, 10px));
       font-weight: 300;
       line-height: 1;
     }
     
     .toastify-pro .close-btn:hover { 
       opacity: 1; 
-      background: rgba(255, 255, 255, 0.2);
+      background: var(--toastify-close-hover-bg, rgba(255, 255, 255, 0.2));
       transform: scale(1.1);
     }
     
     .toastify-pro.light .close-btn {
-      background: rgba(15, 23, 42, 0.08);
+      background: var(--toastify-light-close-bg, rgba(15, 23, 42, 0.08));
     }
     
     .toastify-pro.light .close-btn:hover { 
-      background: rgba(15, 23, 42, 0.15);
+      background: var(--toastify-light-close-hover-bg, rgba(15, 23, 42, 0.15));
     }
     
     @media (max-width: 640px) {
@@ -590,13 +1703,13 @@ class ToastifyPro {
       gap: 24px;
       position: relative;
       backdrop-filter: blur(24px) saturate(180%);
-      box-shadow: 
+      box-shadow: var(--toastify-dialog-shadow,
         0 24px 48px -12px rgba(0, 0, 0, 0.25),
         0 12px 24px -8px rgba(0, 0, 0, 0.15),
         0 0 0 1px rgba(255, 255, 255, 0.08),
-        inset 0 1px 0 0 rgba(255, 255, 255, 0.1);
-      border: 1.5px solid rgba(255, 255, 255, 0.15);
-      border-radius: 20px;
+        inset 0 1px 0 0 rgba(255, 255, 255, 0.1));
+      border: var(--toastify-dialog-border, 1.5px solid rgba(255, 255, 255, 0.15));
+      border-radius: var(--toastify-dialog-radius, 20px);
     }
 
     /* Hide progress bar for confirmation toasts */
@@ -626,29 +1739,29 @@ class ToastifyPro {
       display: flex;
       align-items: center;
       justify-content: center;
-      background: rgba(255, 255, 255, 0.08);
-      backdrop-filter: blur(10px);
+      background: var(--toastify-close-bg, rgba(255, 255, 255, 0.08));
+      backdrop-filter: blur(var(--toastify-blur, 10px));
       font-weight: 300;
       line-height: 1;
-      border: 1px solid rgba(255, 255, 255, 0.12);
+      border: 1px solid var(--toastify-close-border, rgba(255, 255, 255, 0.12));
     }
     
     .toastify-pro.confirmation .conf-close-btn:hover { 
       opacity: 0.9; 
-      background: rgba(255, 255, 255, 0.15);
+      background: var(--toastify-close-hover-bg, rgba(255, 255, 255, 0.15));
       transform: scale(1.1) rotate(90deg);
-      border-color: rgba(255, 255, 255, 0.25);
+      border-color: var(--toastify-close-hover-border, rgba(255, 255, 255, 0.25));
     }
     
     .toastify-pro.confirmation.light .conf-close-btn {
-      background: rgba(15, 23, 42, 0.06);
-      border-color: rgba(15, 23, 42, 0.12);
+      background: var(--toastify-light-close-bg, rgba(15, 23, 42, 0.06));
+      border-color: var(--toastify-light-close-border, rgba(15, 23, 42, 0.12));
       opacity: 0.6;
     }
     
     .toastify-pro.confirmation.light .conf-close-btn:hover { 
-      background: rgba(15, 23, 42, 0.12);
-      border-color: rgba(15, 23, 42, 0.2);
+      background: var(--toastify-light-close-hover-bg, rgba(15, 23, 42, 0.12));
+      border-color: var(--toastify-light-close-hover-border, rgba(15, 23, 42, 0.2));
       opacity: 1;
     }
 
@@ -657,10 +1770,10 @@ class ToastifyPro {
       width: 56px;
       height: 56px;
       margin: 0 auto 8px;
-      background: rgba(255, 255, 255, 0.15);
-      backdrop-filter: blur(12px);
-      border: 2px solid rgba(255, 255, 255, 0.2);
-      box-shadow: 0 8px 16px rgba(0, 0, 0, 0.15);
+      background: var(--toastify-icon-bg, rgba(255, 255, 255, 0.15));
+      backdrop-filter: blur(var(--toastify-blur, 12px));
+      border: 2px solid var(--toastify-icon-border, rgba(255, 255, 255, 0.2));
+      box-shadow: var(--toastify-icon-shadow, 0 8px 16px rgba(0, 0, 0, 0.15));
     }
 
     .toastify-pro.confirmation .toast-icon svg {
@@ -669,8 +1782,8 @@ class ToastifyPro {
     }
 
     .toastify-pro.confirmation.light .toast-icon {
-      background: rgba(15, 23, 42, 0.08);
-      border-color: rgba(15, 23, 42, 0.15);
+      background: var(--toastify-light-icon-bg, rgba(15, 23, 42, 0.08));
+      border-color: var(--toastify-light-icon-border, rgba(15, 23, 42, 0.15));
     }
 
     .toastify-pro.confirmation .toast-content {
@@ -697,12 +1810,12 @@ class ToastifyPro {
     /* Fix text visibility for dark/light variants */
     .toastify-pro.confirmation.dark .toast-message,
     .toastify-pro.confirmation.dark .toast-description {
-      color: white;
+      color: var(--toastify-text-color, white);
     }
 
     .toastify-pro.confirmation.light .toast-message,
     .toastify-pro.confirmation.light .toast-description {
-      color: #1e293b;
+      color: var(--toastify-light-text-color, #1e293b);
     }
 
     .toast-actions {
@@ -715,12 +1828,12 @@ class ToastifyPro {
       flex: 1;
       padding: 14px 20px;
       border: none;
-      border-radius: 12px;
+      border-radius: var(--toastify-button-radius, 12px);
       font-weight: 600;
       font-size: 15px;
       cursor: pointer;
       transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-      backdrop-filter: blur(10px);
+      backdrop-filter: blur(var(--toastify-blur, 10px));
       position: relative;
       overflow: hidden;
       letter-spacing: 0.01em;
@@ -755,16 +1868,16 @@ class ToastifyPro {
     }
 
     .toast-btn-cancel {
-      background: rgba(255, 255, 255, 0.1);
-      color: rgba(255, 255, 255, 0.9);
-      border: 1.5px solid rgba(255, 255, 255, 0.25);
+      background: var(--toastify-cancel-bg, rgba(255, 255, 255, 0.1));
+      color: var(--toastify-cancel-color, rgba(255, 255, 255, 0.9));
+      border: 1.5px solid var(--toastify-cancel-border, rgba(255, 255, 255, 0.25));
       font-weight: 600;
     }
 
     .toast-btn-cancel:hover {
-      background: rgba(255, 255, 255, 0.15);
-      color: white;
-      border-color: rgba(255, 255, 255, 0.35);
+      background: var(--toastify-cancel-hover-bg, rgba(255, 255, 255, 0.15));
+      color: var(--toastify-cancel-color, white);
+      border-color: var(--toastify-cancel-border, rgba(255, 255, 255, 0.35));
     }
     
     .toast-btn-cancel:disabled {
@@ -777,13 +1890,13 @@ class ToastifyPro {
       display: flex;
       align-items: center;
       justify-content: center;
-      color: white;
+      color: var(--toastify-confirm-color, white);
       font-weight: 700;
-      border: 2px solid rgba(255, 255, 255, 0.4);
+      border: 2px solid var(--toastify-confirm-border, rgba(255, 255, 255, 0.4));
       box-shadow: 0 6px 20px rgba(0, 0, 0, 0.25);
       position: relative;
       overflow: hidden;
-      background: linear-gradient(135deg, rgba(15, 23, 42, 0.95), rgba(30, 41, 59, 0.95));
+      background: var(--toastify-confirm-bg, linear-gradient(135deg, rgba(15, 23, 42, 0.95), rgba(30, 41, 59, 0.95)));
     }
 
     .toast-btn-confirm::before {
@@ -802,8 +1915,8 @@ class ToastifyPro {
     }
 
     .toast-btn-confirm:hover {
-      background: linear-gradient(135deg, rgba(15, 23, 42, 1), rgba(30, 41, 59, 1));
-      border-color: rgba(255, 255, 255, 0.5);
+      background: var(--toastify-confirm-hover-bg, linear-gradient(135deg, rgba(15, 23, 42, 1), rgba(30, 41, 59, 1)));
+      border-color: var(--toastify-confirm-border, rgba(255, 255, 255, 0.5));
       box-shadow: 0 8px 28px rgba(15, 23, 42, 0.5);
     }
     
@@ -836,27 +1949,27 @@ class ToastifyPro {
     }
 
     .toastify-pro.light .toast-btn-cancel {
-      background: rgba(15, 23, 42, 0.08);
-      color: rgba(15, 23, 42, 0.85);
-      border-color: rgba(15, 23, 42, 0.2);
+      background: var(--toastify-light-cancel-bg, rgba(15, 23, 42, 0.08));
+      color: var(--toastify-light-cancel-color, rgba(15, 23, 42, 0.85));
+      border-color: var(--toastify-light-cancel-border, rgba(15, 23, 42, 0.2));
     }
 
     .toastify-pro.light .toast-btn-cancel:hover {
-      background: rgba(15, 23, 42, 0.12);
-      color: rgba(15, 23, 42, 1);
-      border-color: rgba(15, 23, 42, 0.3);
+      background: var(--toastify-light-cancel-hover-bg, rgba(15, 23, 42, 0.12));
+      color: var(--toastify-light-cancel-color, rgba(15, 23, 42, 1));
+      border-color: var(--toastify-light-cancel-border, rgba(15, 23, 42, 0.3));
     }
 
     /* Enhanced light theme confirm buttons */
     .toastify-pro.light .toast-btn-confirm {
-      border-color: rgba(15, 23, 42, 0.35);
-      background: linear-gradient(135deg, #1e293b 0%, #334155 100%);
-      color: white;
+      border-color: var(--toastify-light-confirm-border, rgba(15, 23, 42, 0.35));
+      background: var(--toastify-light-confirm-bg, linear-gradient(135deg, #1e293b 0%, #334155 100%));
+      color: var(--toastify-light-confirm-color, white);
     }
 
     .toastify-pro.light .toast-btn-confirm:hover {
-      background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
-      border-color: rgba(15, 23, 42, 0.5);
+      background: var(--toastify-light-confirm-hover-bg, linear-gradient(135deg, #0f172a 0%, #1e293b 100%));
+      border-color: var(--toastify-light-confirm-border, rgba(15, 23, 42, 0.5));
       box-shadow: 0 8px 28px rgba(15, 23, 42, 0.3);
     }
 
@@ -869,7 +1982,7 @@ class ToastifyPro {
     
     /* Custom toast type */
     .toastify-pro.custom {
-      border-color: rgba(255, 255, 255, 0.2);
+      border-color: var(--toastify-custom-border, rgba(255, 255, 255, 0.2));
     }
     
     .toastify-pro.custom.light-text {
@@ -906,10 +2019,10 @@ class ToastifyPro {
       left: 0;
       right: 0;
       bottom: 0;
-      background: rgba(0, 0, 0, 0.5);
-      backdrop-filter: blur(8px);
-      -webkit-backdrop-filter: blur(8px);
-      z-index: 9998;
+      background: var(--toastify-overlay-bg, rgba(0, 0, 0, 0.5));
+      backdrop-filter: blur(var(--toastify-overlay-blur, 8px));
+      -webkit-backdrop-filter: blur(var(--toastify-overlay-blur, 8px));
+      z-index: var(--toastify-overlay-z-index, 9998);
       opacity: 0;
       transition: opacity 0.3s ease;
       pointer-events: auto;
@@ -934,7 +2047,7 @@ class ToastifyPro {
       transition: all 0.2s ease;
       background: rgba(255, 255, 255, 0.2);
       color: inherit;
-      backdrop-filter: blur(10px);
+      backdrop-filter: blur(var(--toastify-blur, 10px));
     }
     
     .toastify-pro .toast-action:hover {
@@ -954,6 +2067,54 @@ class ToastifyPro {
       background: rgba(15, 23, 42, 0.15);
     }
     
+    /* Repeat counter badge - used by the dedupe option */
+    .toastify-pro .toast-count {
+      flex-shrink: 0;
+      min-width: 28px;
+      padding: 2px 8px;
+      border-radius: 999px;
+      font-size: 12px;
+      font-weight: 600;
+      text-align: center;
+      background: rgba(255, 255, 255, 0.2);
+      backdrop-filter: blur(var(--toastify-blur, 10px));
+    }
+    
+    .toastify-pro .toast-count.bump {
+      animation: countBump 0.3s cubic-bezier(0.34, 1.56, 0.64, 1);
+    }
+    
+    .toastify-pro.light .toast-count,
+    .toastify-pro.custom.light-text .toast-count {
+      background: rgba(15, 23, 42, 0.1);
+    }
+    
+    @keyframes countBump {
+      0% { transform: scale(1); }
+      50% { transform: scale(1.25); }
+      100% { transform: scale(1); }
+    }
+    
+    /* Loading state - used by promise() while the operation is pending */
+    .toastify-pro.loading .toast-icon svg {
+      animation: spin 1s linear infinite;
+    }
+    
+    .toastify-pro.loading::after {
+      display: none;
+    }
+    
+    /* Swipe to dismiss */
+    .toastify-pro.swipeable {
+      touch-action: none;
+    }
+    
+    .toastify-pro.swiping {
+      transition: none;
+      cursor: grabbing;
+      user-select: none;
+    }
+    
     /* Paused state - pause progress bar */
     .toastify-pro.paused::after {
       animation-play-state: paused;
@@ -1015,10 +2176,10 @@ class ToastifyPro {
     .toastify-pro.input-toast .toast-input {
       width: 100%;
       padding: 12px 16px;
-      border: 1.5px solid rgba(255, 255, 255, 0.2);
-      border-radius: 12px;
-      background: rgba(255, 255, 255, 0.08);
-      backdrop-filter: blur(12px);
+      border: 1.5px solid var(--toastify-input-border, rgba(255, 255, 255, 0.2));
+      border-radius: var(--toastify-button-radius, 12px);
+      background: var(--toastify-input-bg, rgba(255, 255, 255, 0.08));
+      backdrop-filter: blur(var(--toastify-blur, 12px));
       color: inherit;
       font-family: inherit;
       font-size: 14px;
@@ -1047,8 +2208,8 @@ class ToastifyPro {
     }
     
     .toastify-pro.input-toast.light .toast-input {
-      border-color: rgba(15, 23, 42, 0.15);
-      background: rgba(15, 23, 42, 0.04);
+      border-color: var(--toastify-light-input-border, rgba(15, 23, 42, 0.15));
+      background: var(--toastify-light-input-bg, rgba(15, 23, 42, 0.04));
       box-shadow: inset 0 1px 2px rgba(15, 23, 42, 0.06);
     }
     
@@ -1077,7 +2238,7 @@ class ToastifyPro {
     
     .toastify-pro.input-toast .input-btn {
       padding: 10px 20px;
-      border-radius: 10px;
+      border-radius: var(--toastify-button-radius, 10px);
       font-size: 14px;
       font-weight: 550;
       cursor: pointer;
@@ -1088,25 +2249,25 @@ class ToastifyPro {
     }
     
     .toastify-pro.input-toast .input-btn-cancel {
-      background: rgba(255, 255, 255, 0.1);
-      color: rgba(255, 255, 255, 0.9);
-      border-color: rgba(255, 255, 255, 0.2);
+      background: var(--toastify-cancel-bg, rgba(255, 255, 255, 0.1));
+      color: var(--toastify-cancel-color, rgba(255, 255, 255, 0.9));
+      border-color: var(--toastify-cancel-border, rgba(255, 255, 255, 0.2));
     }
     
     .toastify-pro.input-toast .input-btn-cancel:hover {
-      background: rgba(255, 255, 255, 0.18);
-      border-color: rgba(255, 255, 255, 0.3);
+      background: var(--toastify-cancel-hover-bg, rgba(255, 255, 255, 0.18));
+      border-color: var(--toastify-cancel-border, rgba(255, 255, 255, 0.3));
     }
     
     .toastify-pro.input-toast .input-btn-submit {
-      background: linear-gradient(135deg, rgba(255, 255, 255, 0.95) 0%, rgba(255, 255, 255, 0.85) 100%);
-      color: #1e293b;
-      border-color: rgba(255, 255, 255, 0.4);
+      background: var(--toastify-confirm-bg, linear-gradient(135deg, rgba(255, 255, 255, 0.95) 0%, rgba(255, 255, 255, 0.85) 100%));
+      color: var(--toastify-confirm-color, #1e293b);
+      border-color: var(--toastify-confirm-border, rgba(255, 255, 255, 0.4));
       box-shadow: 0 2px 8px rgba(0, 0, 0, 0.12);
     }
     
     .toastify-pro.input-toast .input-btn-submit:hover {
-      background: linear-gradient(135deg, rgba(255, 255, 255, 1) 0%, rgba(255, 255, 255, 0.95) 100%);
+      background: var(--toastify-confirm-hover-bg, linear-gradient(135deg, rgba(255, 255, 255, 1) 0%, rgba(255, 255, 255, 0.95) 100%));
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.18);
       transform: translateY(-1px);
     }
@@ -1117,24 +2278,24 @@ class ToastifyPro {
     }
     
     .toastify-pro.input-toast.light .input-btn-cancel {
-      background: rgba(15, 23, 42, 0.06);
-      color: rgba(15, 23, 42, 0.85);
-      border-color: rgba(15, 23, 42, 0.15);
+      background: var(--toastify-light-cancel-bg, rgba(15, 23, 42, 0.06));
+      color: var(--toastify-light-cancel-color, rgba(15, 23, 42, 0.85));
+      border-color: var(--toastify-light-cancel-border, rgba(15, 23, 42, 0.15));
     }
     
     .toastify-pro.input-toast.light .input-btn-cancel:hover {
-      background: rgba(15, 23, 42, 0.1);
-      border-color: rgba(15, 23, 42, 0.25);
+      background: var(--toastify-light-cancel-hover-bg, rgba(15, 23, 42, 0.1));
+      border-color: var(--toastify-light-cancel-border, rgba(15, 23, 42, 0.25));
     }
     
     .toastify-pro.input-toast.light .input-btn-submit {
-      background: linear-gradient(135deg, #1e293b 0%, #334155 100%);
-      color: white;
-      border-color: rgba(15, 23, 42, 0.3);
+      background: var(--toastify-light-confirm-bg, linear-gradient(135deg, #1e293b 0%, #334155 100%));
+      color: var(--toastify-light-confirm-color, white);
+      border-color: var(--toastify-light-confirm-border, rgba(15, 23, 42, 0.3));
     }
     
     .toastify-pro.input-toast.light .input-btn-submit:hover {
-      background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
+      background: var(--toastify-light-confirm-hover-bg, linear-gradient(135deg, #0f172a 0%, #1e293b 100%));
       box-shadow: 0 4px 16px rgba(15, 23, 42, 0.25);
     }
     
@@ -1223,6 +2384,230 @@ class ToastifyPro {
       }
     }
     
+    /* ===== NOTIFICATION HISTORY ===== */
+    .toastify-pro-history {
+      position: relative;
+      display: inline-block;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    }
+    
+    .toastify-pro-history.fixed {
+      position: fixed;
+      top: 16px;
+      right: 16px;
+      z-index: 10000;
+    }
+    
+    .toastify-pro-history .history-bell {
+      position: relative;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 44px;
+      height: 44px;
+      border-radius: 50%;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      background: linear-gradient(135deg, rgba(15, 23, 42, 0.95) 0%, rgba(30, 41, 59, 0.95) 100%);
+      color: white;
+      cursor: pointer;
+      backdrop-filter: blur(20px);
+      box-shadow: 0 10px 20px -5px rgba(0, 0, 0, 0.2);
+      transition: transform 0.2s ease;
+    }
+    
+    .toastify-pro-history .history-bell:hover {
+      transform: scale(1.05);
+    }
+    
+    .toastify-pro-history .history-badge {
+      position: absolute;
+      top: -4px;
+      right: -4px;
+      min-width: 20px;
+      height: 20px;
+      padding: 0 6px;
+      border-radius: 999px;
+      background: rgba(239, 68, 68, 0.95);
+      color: white;
+      font-size: 11px;
+      font-weight: 600;
+      line-height: 20px;
+      text-align: center;
+    }
+    
+    .toastify-pro-history .history-panel {
+      position: absolute;
+      top: calc(100% + 8px);
+      right: 0;
+      width: 340px;
+      max-width: calc(100vw - 32px);
+      max-height: 420px;
+      display: flex;
+      flex-direction: column;
+      border-radius: 16px;
+      border: 1px solid rgba(148, 163, 184, 0.2);
+      background: linear-gradient(135deg, rgba(15, 23, 42, 0.97) 0%, rgba(30, 41, 59, 0.97) 100%);
+      color: white;
+      backdrop-filter: blur(20px);
+      box-shadow: 
+        0 20px 25px -5px rgba(0, 0, 0, 0.2),
+        0 10px 10px -5px rgba(0, 0, 0, 0.08);
+      overflow: hidden;
+    }
+    
+    .toastify-pro-history .history-panel[hidden] {
+      display: none;
+    }
+    
+    .toastify-pro-history .history-header,
+    .toastify-pro-history .history-actions {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 12px 16px 0;
+    }
+    
+    .toastify-pro-history .history-title {
+      font-size: 15px;
+      font-weight: 600;
+    }
+    
+    .toastify-pro-history .history-filter,
+    .toastify-pro-history .history-actions button {
+      padding: 4px 10px;
+      border-radius: 8px;
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      background: rgba(255, 255, 255, 0.08);
+      color: inherit;
+      font-family: inherit;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .toastify-pro-history .history-filter option {
+      color: #1e293b;
+    }
+    
+    .toastify-pro-history .history-actions button:hover {
+      background: rgba(255, 255, 255, 0.15);
+    }
+    
+    .toastify-pro-history .history-list {
+      list-style: none;
+      margin: 12px 0 0;
+      padding: 0 8px 8px;
+      overflow-y: auto;
+    }
+    
+    .toastify-pro-history .history-item {
+      display: flex;
+      gap: 12px;
+      padding: 10px 8px;
+      border-radius: 10px;
+      cursor: pointer;
+      opacity: 0.7;
+    }
+    
+    .toastify-pro-history .history-item.unread {
+      opacity: 1;
+      background: rgba(255, 255, 255, 0.06);
+    }
+    
+    .toastify-pro-history .history-item:hover,
+    .toastify-pro-history .history-item:focus {
+      background: rgba(255, 255, 255, 0.1);
+      outline: none;
+    }
+    
+    .toastify-pro-history .history-icon {
+      flex-shrink: 0;
+      display: flex;
+      width: 18px;
+      height: 18px;
+      margin-top: 2px;
+    }
+    
+    .toastify-pro-history .history-icon svg {
+      width: 18px;
+      height: 18px;
+    }
+    
+    .toastify-pro-history .history-item.success .history-icon { color: rgb(34, 197, 94); }
+    .toastify-pro-history .history-item.error .history-icon { color: rgb(239, 68, 68); }
+    .toastify-pro-history .history-item.info .history-icon { color: rgb(59, 130, 246); }
+    .toastify-pro-history .history-item.warning .history-icon { color: rgb(245, 158, 11); }
+    
+    .toastify-pro-history .history-content {
+      flex: 1;
+      min-width: 0;
+    }
+    
+    .toastify-pro-history .history-message {
+      font-size: 14px;
+      font-weight: 500;
+    }
+    
+    .toastify-pro-history .history-description {
+      font-size: 12px;
+      opacity: 0.8;
+      margin-top: 2px;
+    }
+    
+    .toastify-pro-history .history-meta {
+      font-size: 11px;
+      opacity: 0.6;
+      margin-top: 4px;
+    }
+    
+    .toastify-pro-history .history-empty {
+      padding: 24px 8px;
+      text-align: center;
+      font-size: 13px;
+      opacity: 0.6;
+    }
+    
+    /* ===== RIGHT-TO-LEFT (dir option) ===== */
+    /* Flex rows (icon, content, buttons) mirror on their own; physical offsets are swapped here */
+    .toastify-pro-container[dir="rtl"] .toastify-pro::after {
+      left: auto;
+      right: 0;
+    }
+    
+    .toastify-pro-container[dir="rtl"] .toastify-pro::before {
+      animation-direction: reverse;
+    }
+    
+    .toastify-pro-container[dir="rtl"] .toastify-pro.confirmation .conf-close-btn {
+      right: auto;
+      left: 14px;
+    }
+    
+    .toastify-pro-container[dir="rtl"] .toast-btn-confirm .btn-spinner {
+      margin-left: 0;
+      margin-right: 8px;
+    }
+    
+    .toastify-pro-container[dir="rtl"] .toastify-pro.input-toast .input-btn-submit .btn-spinner {
+      margin-left: 0;
+      margin-right: 6px;
+    }
+    
+    .toastify-pro-history[dir="rtl"].fixed {
+      right: auto;
+      left: 16px;
+    }
+    
+    .toastify-pro-history[dir="rtl"] .history-badge {
+      right: auto;
+      left: -4px;
+    }
+    
+    .toastify-pro-history[dir="rtl"] .history-panel {
+      right: auto;
+      left: 0;
+    }
+    
     /* Reduced motion support */
     @media (prefers-reduced-motion: reduce) {
       .toastify-pro {
@@ -1236,7 +2621,8 @@ class ToastifyPro {
         transform: none !important;
       }
       
-      .toastify-pro .toast-icon {
+      .toastify-pro .toast-icon,
+      .toastify-pro .toast-count.bump {
         animation: none !important;
       }
       
@@ -1264,12 +2650,12 @@ class ToastifyPro {
         transform: scale(1.05);
       }
       
-      .btn-spinner svg {
+      .btn-spinner svg,
+      .toastify-pro.loading .toast-icon svg {
         animation: spinFast 0.5s linear infinite !important;
       }
     }
-  `;
-      document.head.appendChild(style);
+  `, this.styleRoot);
     } catch (error) {
       console.error('ToastifyPro: Failed to inject styles:', error);
     }
@@ -1286,9 +2672,35 @@ class ToastifyPro {
    * @param {number} opts.maxLength - Override max message length
    * @param {Object} opts.action - Action button configuration { label, onClick }
    * @param {boolean} opts.pauseOnHover - Pause timeout on hover
+   * @param {boolean} opts.pauseOnFocusWithin - Pause timeout while focus is inside the toast
    * @param {string} opts.ariaLive - ARIA live region type ('polite' or 'assertive')
+   * @param {string} opts.id - Stable toast ID (auto-generated if omitted). Showing a toast
+   *   with the ID of an active toast updates that toast in place.
+   * @param {boolean} opts.dedupe - Bump the repeat counter of a matching active toast instead of stacking
+   * @param {string} opts.dedupeKey - Custom key for deduplication (default: type + message)
+   * @param {string} opts.overflow - Override overflow mode ('evict', 'queue' or 'drop')
+   * @param {string} opts.priority - 'low', 'normal', 'high' or 'critical'. Higher priorities are placed
+   *   ahead of lower ones and never evicted for them; 'critical' defaults to timeout 0 and role="alert".
+   * @param {boolean} opts.swipeToDismiss - Override swipe/drag to dismiss
+   * @param {Function} opts.onShow - Called with the control handle once the toast is shown
+   * @param {Function} opts.onClose - Called with the dismissal reason when the toast is dismissed
+   * @param {boolean} opts.persist - Restore this toast with its remaining time after a reload or navigation
+   * @param {boolean} opts.broadcast - Show, update and dismiss this toast in every tab
+   *   (requires the broadcast constructor option)
+   * @param {boolean|Object} opts.systemNotification - When the tab is hidden, mirror the toast as a native
+   *   Notification (if permission is granted) and hold it until the tab is visible. Pass { icon } to override the icon.
+   * @returns {Object|null} Control handle (null if dropped by overflow 'drop' or without a DOM):
+   *   - id: {string} Unique toast ID
+   *   - element: {HTMLElement|null} Toast element (null while waiting in the queue; with a custom
+   *     renderer, whatever its mount() returned)
+   *   - closed: {Promise<string>} Resolves with the dismissal reason
+   *     ('timeout', 'close', 'escape', 'action', 'swipe', 'evicted', 'broadcast', 'cleared' or 'programmatic')
+   *   - dismiss(), update(message, opts), pause(), resume()
    */
   show(message, type = "dark", opts = {}) {
+    // No-op on the server (unless a custom renderer is used)
+    if (!this.initToasts()) return null;
+
     // Input validation
     if (typeof message !== 'string') {
       console.warn('ToastifyPro: Message must be a string. Converting to string.');
@@ -1300,9 +2712,9 @@ class ToastifyPro {
       return;
     }
 
-    // Validate type
-    const validTypes = ['success', 'error', 'info', 'warning', 'dark', 'light'];
-    if (!validTypes.includes(type)) {
+    // Validate type ('custom' is used by custom(), which passes the gradient along)
+    const isCustom = type === 'custom' && !!(opts && opts.customGradient);
+    if (!builtInTypes.includes(type) && !customTypes[type] && !isCustom) {
       console.warn(`ToastifyPro: Invalid type "${type}". Using "dark".`);
       type = 'dark';
     }
@@ -1313,379 +2725,1898 @@ class ToastifyPro {
       opts = {};
     }
 
-    const options = { ...this.defaultOptions, ...opts };
+    // Registered types may bring their own timeout/ariaLive defaults
+    const typeConfig = customTypes[type] || {};
+    const typeDefaults = {};
+    if (typeof typeConfig.timeout === 'number') typeDefaults.timeout = typeConfig.timeout;
+    if (typeConfig.ariaLive) typeDefaults.ariaLive = typeConfig.ariaLive;
+
+    const options = { ...this.defaultOptions, ...typeDefaults, ...opts };
+
+    // Broadcast toasts need an ID that is unique across tabs
+    if (opts.broadcast && options.id == null) {
+      options.id = `toast-${broadcastTabId}-${++toastIdCounter}`;
+    }
+
+    // Validate priority
+    if (!(options.priority in priorityLevels)) {
+      console.warn(`ToastifyPro: Invalid priority "${options.priority}". Using "normal".`);
+      options.priority = 'normal';
+    }
+    const priority = priorityLevels[options.priority];
+
+    // Critical toasts stay until dismissed unless a timeout is given explicitly
+    if (options.priority === 'critical' && opts.timeout === undefined) {
+      options.timeout = 0;
+    }
+
+    // Update in place when a toast with the same ID is already showing or queued
+    const existing = options.id != null ? this.get(options.id) : null;
+    if (existing) {
+      existing.update(message, { ...opts, type, timeout: options.timeout });
+      return existing;
+    }
+
+    // Deduplicate identical toasts - bump the repeat counter instead of stacking
+    options.dedupeKey = options.dedupeKey || `${type}:${message}`;
+    const duplicate = this.bumpDuplicate(options);
+    if (duplicate) return duplicate;
+
+    // Overflow handling when the visible limit is reached (queued toasts already own a free slot)
+    if (!options.queuedToast && options.maxToasts > 0 && this.activeToasts.length >= options.maxToasts) {
+      if (options.overflow === 'drop') {
+        // Drop the new toast, unless it outranks a visible one (which is evicted below)
+        if (!this.activeToasts.some(t => t.priority < priority)) {
+          if (options.history) {
+            this.recordHistory({
+              id: options.id != null ? String(options.id) : `toast-${++toastIdCounter}`,
+              message: message.substring(0, options.maxLength),
+              description: typeof options.description === 'string' ? options.description.substring(0, options.maxLength * 2) : '',
+              type,
+              reason: 'dropped'
+            });
+          }
+          return null;
+        }
+      } else {
+        // Never evict higher-priority toasts to make room - wait for a slot instead
+        const canEvict = this.activeToasts.some(t => t.priority <= priority);
+        if (options.overflow === 'queue' || !canEvict) {
+          return this.enqueueToast(message, type, opts, options);
+        }
+      }
+    }
 
     try {
-      // Queue management - remove oldest toasts if limit exceeded
-      if (options.maxToasts > 0 && this.activeToasts.length >= options.maxToasts) {
+      // Queue management - remove oldest lowest-priority toasts if limit exceeded
+      if (!options.queuedToast && options.maxToasts > 0 && this.activeToasts.length >= options.maxToasts) {
         const toastsToRemove = this.activeToasts.length - options.maxToasts + 1;
         for (let i = 0; i < toastsToRemove; i++) {
-          const oldestToast = this.activeToasts.shift();
-          if (oldestToast && oldestToast.element) {
-            this.removeToast(oldestToast.element);
-          }
+          const oldestToast = this.activeToasts.reduce(
+            (lowest, t) => (!lowest || t.priority < lowest.priority ? t : lowest),
+            null
+          );
+          if (!oldestToast || oldestToast.priority > priority) break;
+          // removeToast() also drops the entry from activeToasts
+          this.removeToast(oldestToast, 'evicted');
         }
       }
       
-      // Create toast element
-      const toast = document.createElement("div");
-      toast.className = `toastify-pro ${type}`;
-      
-      // Store reference to this instance for keyboard navigation
-      toast._toastInstance = this;
-      
-      // ARIA accessibility attributes
-      const ariaLive = type === 'error' || type === 'warning' ? 'assertive' : (options.ariaLive || 'polite');
-      toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
-      toast.setAttribute('aria-live', ariaLive);
-      toast.setAttribute('aria-atomic', 'true');
-      
-      // Set duration for progress bar animation
-      if (options.timeout > 0) {
-        toast.style.setProperty('--duration', `${options.timeout}ms`);
+      // Track the toast for queueing, timers and dismissal, and render it
+      return this.trackToast(message, type, options);
+    } catch (error) {
+      console.error('ToastifyPro: Failed to create toast:', error);
+    }
+  }
+  
+  /**
+   * Registers a toast for queue management, renders it, starts its auto-dismiss
+   * timer and builds its control handle
+   * @param {string} message - Main message text
+   * @param {string} type - Toast type (a built-in or registered type, or 'custom')
+   * @param {Object} options - Merged toast options
+   * @returns {Object} Control handle { id, element, closed, dismiss, update, pause, resume }
+   */
+  trackToast(message, type, options) {
+    // Toasts coming out of the pending queue keep the ID, handle and closed promise they were given
+    const queued = options.queuedToast || null;
+    const id = options.id != null ? String(options.id) : `toast-${++toastIdCounter}`;
+
+    let resolveClosed = queued ? queued.resolveClosed : null;
+    const closed = queued ? queued.closed : new Promise(resolve => { resolveClosed = resolve; });
+
+    const toastData = {
+      id,
+      element: null, // What the renderer's mount() returned (the toast element for the DOM renderer)
+      type,
+      message: message.substring(0, options.maxLength),
+      description: typeof options.description === 'string' ? options.description.substring(0, options.maxLength * 2) : '',
+      loading: !!options.loading, // Spinner instead of the type icon (promise())
+      options,
+      timeout: null,
+      remainingTime: options.timeout,
+      startTime: null,
+      isPaused: false,
+      pausedBy: new Set(), // Sources currently holding the toast paused (hover, manual)
+      isRemoving: false, // Flag to prevent hover interference during removal
+      reason: null, // Dismissal reason, set by removeToast()
+      dedupeKey: options.dedupeKey || null,
+      count: 1, // Number of times this toast was shown (dedupe)
+      createdAt: Date.now(),
+      priority: priorityLevels[options.priority] ?? priorityLevels.normal,
+      onClose: typeof options.onClose === 'function' ? options.onClose : null,
+      historyEntry: null,
+      persist: !!options.persist,
+      hasCustomId: queued ? queued.hasCustomId : options.id != null, // Auto-generated IDs are not carried across pages
+      broadcast: !!(options.broadcast === true && this.broadcastChannel),
+      fromBroadcast: !!options.fromBroadcast, // Received from another tab, which already shows it
+      systemNotification: null, // Native Notification mirroring this toast while the tab is hidden
+      closed,
+      resolveClosed
+    };
+    this.activeToasts.push(toastData);
+
+    // What the renderer's buttons and gestures call
+    const controls = {
+      dismiss: (reason = 'close') => this.removeToast(toastData, reason),
+      pause: (source = 'hover') => this.pauseToast(toastData, source),
+      resume: (source = 'hover') => this.resumeToast(toastData, source),
+      action: (event = null) => {
+        if (!options.action || typeof options.action.onClick !== 'function') return;
+        this.emit('action', { id, element: toastData.element, label: options.action.label || this.translate('action') });
+        options.action.onClick({ close: () => this.removeToast(toastData, 'action'), event });
       }
+    };
 
-      // Create icon wrapper
-      const iconWrapper = document.createElement("div");
-      iconWrapper.className = "toast-icon";
-      iconWrapper.setAttribute('aria-hidden', 'true');
-      iconWrapper.innerHTML = this.getIconSVG(type);
-      toast.appendChild(iconWrapper);
+    try {
+      toastData.element = this.renderer.mount(this.getRenderState(toastData), controls) || null;
+    } catch (error) {
+      this.activeToasts.splice(this.activeToasts.indexOf(toastData), 1);
+      throw error;
+    }
 
-      // Create content wrapper for the message and description
-      const contentWrapper = document.createElement("div");
-      contentWrapper.className = "toast-content";
-      
-      // Main message
-      const messageElement = document.createElement("div");
-      messageElement.className = "toast-message";
-      messageElement.textContent = message.substring(0, options.maxLength);
-      contentWrapper.appendChild(messageElement);
-      
-      // Optional description (if provided)
-      if (options.description && typeof options.description === 'string') {
-        const descriptionElement = document.createElement("div");
-        descriptionElement.className = "toast-description";
-        descriptionElement.textContent = options.description.substring(0, options.maxLength * 2);
-        contentWrapper.appendChild(descriptionElement);
+    // Auto-remove after timeout
+    if (options.timeout > 0) {
+      toastData.startTime = Date.now();
+      toastData.timeout = setTimeout(() => this.removeToast(toastData, 'timeout'), options.timeout);
+    }
+
+    if (typeof document !== 'undefined') {
+      // Shown while the user is away: start paused (see setupPagePause)
+      if (this.defaultOptions.pauseOnPageHidden && document.visibilityState === 'hidden') {
+        this.pauseToast(toastData, 'hidden');
       }
-      
-      // Action button support
-      if (options.action && typeof options.action === 'object') {
-        const actionBtn = document.createElement("button");
-        actionBtn.className = "toast-action";
-        actionBtn.textContent = options.action.label || 'Action';
-        actionBtn.setAttribute('type', 'button');
-        if (typeof options.action.onClick === 'function') {
-          actionBtn.onclick = (e) => {
-            e.stopPropagation();
-            options.action.onClick({ close: () => this.removeToast(toast), event: e });
-          };
-        }
-        contentWrapper.appendChild(actionBtn);
+      if (this.defaultOptions.pauseOnWindowBlur && !document.hasFocus()) {
+        this.pauseToast(toastData, 'blur');
       }
-      
-      toast.appendChild(contentWrapper);
 
-      // Add close button if enabled
-      if (options.allowClose) {
-        const closeBtn = document.createElement("button");
-        closeBtn.className = "close-btn";
-        closeBtn.innerHTML = "&times;";
-        closeBtn.setAttribute('type', 'button');
-        closeBtn.setAttribute('aria-label', 'Close notification');
-        closeBtn.onclick = () => this.removeToast(toast);
-        toast.appendChild(closeBtn);
+      // Mirror as a native notification while the tab is hidden
+      if (options.systemNotification && document.visibilityState === 'hidden') {
+        this.holdForSystemNotification(toastData, options);
       }
+    }
 
-      // Add toast to container (respect newestOnTop setting)
-      if (options.newestOnTop && this.container.firstChild) {
-        this.container.insertBefore(toast, this.container.firstChild);
-      } else {
-        this.container.appendChild(toast);
-      }
-      
-      // Track toast for queue management
-      const toastData = {
-        element: toast,
-        timeout: null,
-        remainingTime: options.timeout,
-        startTime: null,
-        isPaused: false,
-        isRemoving: false // Flag to prevent hover interference during removal
-      };
-      this.activeToasts.push(toastData);
+    toastData.handle = Object.assign(queued ? queued.handle : {}, {
+      id,
+      element: toastData.element,
+      closed,
+      dismiss: () => this.removeToast(toastData),
+      update: (newMessage, newOpts) => this.updateToast(toastData, newMessage, newOpts),
+      pause: () => this.pauseToast(toastData),
+      resume: () => this.resumeToast(toastData)
+    });
 
-      // Apple AirDrop-style entrance animation
-      setTimeout(() => {
-        toast.classList.add("show");
-        // Add icon bounce effect with Apple-style timing
-        const icon = toast.querySelector('.toast-icon');
-        if (icon) {
-          icon.style.animation = 'iconBounce 0.8s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
-        }
-      }, 10);
+    // Record in notification history (opt-in, can be disabled per toast)
+    if (options.history) {
+      toastData.historyEntry = this.recordHistory({
+        id,
+        message: toastData.message,
+        description: toastData.description,
+        type
+      });
+    }
 
-      // Pause on hover functionality
-      if (options.pauseOnHover && options.timeout > 0) {
-        toast.addEventListener('mouseenter', () => {
-          // Don't pause if toast is being removed
-          if (toastData.isRemoving) return;
-          if (toastData.timeout) {
-            clearTimeout(toastData.timeout);
-            toastData.isPaused = true;
-            toastData.remainingTime -= (Date.now() - toastData.startTime);
-            toast.classList.add('paused');
-          }
-        });
-        
-        toast.addEventListener('mouseleave', () => {
-          // Don't restart timer if toast is being removed
-          if (toastData.isRemoving) return;
-          if (toastData.isPaused && toastData.remainingTime > 0) {
-            toastData.isPaused = false;
-            toastData.startTime = Date.now();
-            toast.classList.remove('paused');
-            // Update CSS variable for remaining progress
-            toast.style.setProperty('--duration', `${toastData.remainingTime}ms`);
-            // Restart the progress bar animation only (not the main toast animation)
-            // Using class toggle to reset pseudo-element animation without affecting main element
-            toast.classList.add('progress-restart');
-            void toast.offsetHeight; // Force reflow
-            toast.classList.remove('progress-restart');
-            
-            toastData.timeout = setTimeout(() => this.removeToast(toast), toastData.remainingTime);
-          }
-        });
-      }
+    this.emit('show', {
+      id,
+      element: toastData.element,
+      message: toastData.message,
+      type
+    });
+    if (toastData.persist) {
+      this.savePersistedToasts();
+    }
+
+    // Toasts received from another tab may leave the queue later - don't send them back
+    if (toastData.broadcast && !toastData.fromBroadcast) {
+      this.postBroadcast('show', {
+        id,
+        message: toastData.message,
+        type,
+        description: toastData.description,
+        timeout: options.timeout,
+        priority: options.priority,
+        position: this.defaultOptions.position
+      });
+    }
 
-      // Auto-remove after timeout
-      if (options.timeout > 0) {
-        toastData.startTime = Date.now();
-        toastData.timeout = setTimeout(() => this.removeToast(toast), options.timeout);
+    if (typeof options.onShow === 'function') {
+      try {
+        options.onShow(toastData.handle);
+      } catch (error) {
+        console.error('ToastifyPro: Error in onShow callback:', error);
       }
-
-      // Return toast control object
-      return {
-        element: toast,
-        dismiss: () => this.removeToast(toast),
-        update: (newMessage, newOpts) => this.updateToast(toast, newMessage, newOpts)
-      };
-    } catch (error) {
-      console.error('ToastifyPro: Failed to create toast:', error);
     }
+
+    return toastData.handle;
   }
-  
+
+  /**
+   * Built-in DOM renderer: creates the toast element, inserts it into the container
+   * and wires its buttons, pause on hover/focus and swipe to dismiss
+   * @param {Object} toast - Toast state (see getRenderState())
+   * @param {Object} controls - { dismiss(reason), pause(source), resume(source), action(event) }
+   * @returns {HTMLElement} Toast element
+   */
+  mountToastElement(toast, controls) {
+    const { type, options } = toast;
+
+    const element = document.createElement("div");
+    element.className = type === 'custom'
+      ? `toastify-pro custom${options.customTextLight ? ' light-text' : ''}`
+      : `toastify-pro ${type}`;
+    element.dataset.type = type;
+    element.dataset.toastId = toast.id;
+
+    // Store reference to this instance for keyboard navigation
+    element._toastInstance = this;
+
+    // ARIA accessibility attributes
+    this.setToastAria(element, type, options);
+    element.setAttribute('aria-atomic', 'true');
+
+    // Custom gradient (custom())
+    if (type === 'custom' && options.customGradient) {
+      element.style.background = options.customGradient;
+    }
+
+    // Set duration for progress bar animation
+    if (options.timeout > 0) {
+      element.style.setProperty('--duration', `${options.timeout}ms`);
+    }
+
+    // Create icon wrapper (custom toasts use the success icon)
+    const iconWrapper = document.createElement("div");
+    iconWrapper.className = "toast-icon";
+    iconWrapper.setAttribute('aria-hidden', 'true');
+    iconWrapper.innerHTML = this.getIconSVG(type === 'custom' ? 'success' : type);
+    element.appendChild(iconWrapper);
+
+    // Create content wrapper for the message and description
+    const contentWrapper = document.createElement("div");
+    contentWrapper.className = "toast-content";
+
+    // Main message
+    const messageElement = document.createElement("div");
+    messageElement.className = "toast-message";
+    messageElement.textContent = toast.message;
+    contentWrapper.appendChild(messageElement);
+
+    // Optional description (if provided)
+    if (toast.description) {
+      const descriptionElement = document.createElement("div");
+      descriptionElement.className = "toast-description";
+      descriptionElement.textContent = toast.description;
+      contentWrapper.appendChild(descriptionElement);
+    }
+
+    // Action button support
+    if (options.action && typeof options.action === 'object') {
+      const actionBtn = document.createElement("button");
+      actionBtn.className = "toast-action";
+      actionBtn.textContent = options.action.label || this.translate('action');
+      actionBtn.setAttribute('type', 'button');
+      actionBtn.onclick = (e) => {
+        e.stopPropagation();
+        controls.action(e);
+      };
+      contentWrapper.appendChild(actionBtn);
+    }
+
+    element.appendChild(contentWrapper);
+
+    // Add close button if enabled
+    if (options.allowClose) {
+      const closeBtn = document.createElement("button");
+      closeBtn.className = "close-btn";
+      closeBtn.innerHTML = "&times;";
+      closeBtn.setAttribute('type', 'button');
+      closeBtn.setAttribute('aria-label', this.translate('close'));
+      closeBtn.onclick = () => controls.dismiss('close');
+      element.appendChild(closeBtn);
+    }
+
+    if (toast.loading) {
+      this.updateToastElement({ ...toast, element }, { loading: true });
+    }
+
+    // Add toast to container (respect priority and newestOnTop setting)
+    this.insertToast(element, options);
+
+    // Pause on hover functionality (timer may also be started later via updateToast)
+    if (options.pauseOnHover) {
+      element.addEventListener('mouseenter', () => controls.pause('hover'));
+      element.addEventListener('mouseleave', () => controls.resume('hover'));
+    }
+
+    // Pause while keyboard focus is inside the toast
+    if (options.pauseOnFocusWithin) {
+      element.addEventListener('focusin', () => controls.pause('focus'));
+      element.addEventListener('focusout', (e) => {
+        if (!element.contains(e.relatedTarget)) {
+          controls.resume('focus');
+        }
+      });
+    }
+
+    // Swipe/drag to dismiss
+    if (options.swipeToDismiss) {
+      this.setupSwipeToDismiss(element, options);
+    }
+
+    // Apple AirDrop-style entrance animation
+    setTimeout(() => {
+      element.classList.add("show");
+      // Add icon bounce effect with Apple-style timing
+      const icon = element.querySelector('.toast-icon');
+      if (icon) {
+        icon.style.animation = 'iconBounce 0.8s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
+      }
+    }, 10);
+
+    return element;
+  }
+
+  /**
+   * Sets the role and aria-live of a toast element from its type and priority
+   * @param {HTMLElement} element - Toast element
+   * @param {string} type - Toast type
+   * @param {Object} options - Merged toast options (priority, ariaLive)
+   */
+  setToastAria(element, type, options) {
+    if (type === 'custom') {
+      element.setAttribute('role', 'status');
+      element.setAttribute('aria-live', options.ariaLive || 'polite');
+      return;
+    }
+
+    const typeConfig = customTypes[type] || {};
+    const isUrgent = type === 'error' || options.priority === 'critical';
+    const ariaLive = isUrgent || type === 'warning' ? 'assertive' : (options.ariaLive || 'polite');
+    element.setAttribute('role', isUrgent ? 'alert' : (typeConfig.role || 'status'));
+    element.setAttribute('aria-live', ariaLive);
+  }
+
+  /**
+   * Inserts a toast element into the container. Higher-priority toasts are kept
+   * ahead of lower ones; within the same priority newestOnTop decides the order.
+   * @param {HTMLElement} toast - Toast element
+   * @param {Object} options - Merged toast options (priority, newestOnTop)
+   */
+  insertToast(toast, options) {
+    const rank = (el) => priorityLevels[el.dataset.priority] ?? priorityLevels.normal;
+
+    toast.dataset.priority = options.priority in priorityLevels ? options.priority : 'normal';
+    const priority = rank(toast);
+
+    // The container is removed when its last instance is destroyed
+    if (!this.container.isConnected) {
+      this.container = this.getContainer(this.defaultOptions.position);
+    }
+
+    const nextSibling = Array.from(this.container.children).find(el =>
+      options.newestOnTop ? rank(el) <= priority : rank(el) < priority
+    );
+    this.container.insertBefore(toast, nextSibling || null);
+  }
+
+  /**
+   * Holds a toast in the pending queue until a slot frees up (overflow: 'queue'),
+   * or while every visible toast outranks it
+   * @param {string} message - Main message text
+   * @param {string} type - Toast type
+   * @param {Object} opts - Options as passed to show()
+   * @param {Object} options - Merged toast options
+   * @returns {Object} Control handle; element stays null until the toast is displayed
+   */
+  enqueueToast(message, type, opts, options) {
+    // An identical toast is already waiting - don't queue it twice
+    if (options.dedupe) {
+      const queuedDuplicate = this.pendingToasts.find(entry => entry.dedupeKey === options.dedupeKey);
+      if (queuedDuplicate) return queuedDuplicate.handle;
+    }
+
+    const id = options.id != null ? String(options.id) : `toast-${++toastIdCounter}`;
+
+    let resolveClosed;
+    const closed = new Promise(resolve => { resolveClosed = resolve; });
+
+    const entry = {
+      id,
+      message,
+      type,
+      opts: { ...opts, id },
+      dedupeKey: options.dedupeKey,
+      maxToasts: options.maxToasts,
+      hasCustomId: options.id != null,
+      priority: priorityLevels[options.priority] ?? priorityLevels.normal,
+      closed,
+      resolveClosed
+    };
+
+    // Until displayed, the handle edits or removes the queue entry
+    entry.handle = {
+      id,
+      element: null,
+      closed,
+      dismiss: () => this.removeQueuedToast(entry, 'programmatic'),
+      update: (newMessage, newOpts = {}) => {
+        if (newMessage) entry.message = newMessage;
+        if (newOpts.type) entry.type = newOpts.type;
+        entry.opts = { ...entry.opts, ...newOpts, id };
+      },
+      pause: () => {},
+      resume: () => {}
+    };
+
+    // Higher-priority toasts jump ahead of lower ones in the queue
+    const index = this.pendingToasts.findIndex(queued => queued.priority < entry.priority);
+    if (index > -1) {
+      this.pendingToasts.splice(index, 0, entry);
+    } else {
+      this.pendingToasts.push(entry);
+    }
+
+    if (options.persist) {
+      this.savePersistedToasts();
+    }
+    return entry.handle;
+  }
+
+  /**
+   * Removes a toast from the pending queue without displaying it
+   * @param {Object} entry - Entry from pendingToasts
+   * @param {string} reason - Dismissal reason passed to the closed promise
+   */
+  removeQueuedToast(entry, reason) {
+    const index = this.pendingToasts.indexOf(entry);
+    if (index > -1) {
+      this.pendingToasts.splice(index, 1);
+      entry.resolveClosed(reason);
+
+      // Discarded by clearQueue() without ever being shown
+      const history = entry.opts.history !== undefined ? entry.opts.history : this.defaultOptions.history;
+      if (reason === 'cleared' && history) {
+        this.recordHistory({
+          id: entry.id,
+          message: entry.message,
+          description: typeof entry.opts.description === 'string' ? entry.opts.description : '',
+          type: entry.type,
+          reason
+        });
+      }
+
+      if (entry.opts.persist) {
+        this.savePersistedToasts();
+      }
+    }
+  }
+
+  /**
+   * Displays queued toasts while there are free slots under maxToasts
+   */
+  showNextQueued() {
+    while (this.pendingToasts.length > 0) {
+      const entry = this.pendingToasts[0];
+      if (entry.maxToasts > 0 && this.activeToasts.length >= entry.maxToasts) break;
+
+      this.pendingToasts.shift();
+      // Dedupe was already applied when the toast was queued
+      this.show(entry.message, entry.type, { ...entry.opts, dedupe: false, queuedToast: entry });
+    }
+  }
+
+  /**
+   * Finds an active toast with the same dedupe key, bumps its "×N" repeat badge
+   * and restarts its timer and progress bar
+   * @param {Object} options - Merged toast options (dedupe, dedupeKey, timeout)
+   * @returns {Object|null} Handle of the matching toast, or null if deduplication did not apply
+   */
+  bumpDuplicate(options) {
+    if (!options.dedupe) return null;
+
+    // Loading toasts belong to a running promise() and change message when it settles
+    const toastData = this.activeToasts.find(t => t.dedupeKey === options.dedupeKey && !t.isRemoving && !t.loading);
+    if (!toastData) return null;
+
+    toastData.count++;
+    this.renderToast(toastData, { count: toastData.count });
+
+    // Surface the repeat in history as a fresh unread entry
+    if (toastData.historyEntry) {
+      const entry = toastData.historyEntry;
+      entry.count = toastData.count;
+      entry.timestamp = Date.now();
+      entry.read = false;
+      this.historyEntries = [entry, ...this.historyEntries.filter(e => e !== entry)];
+      this.renderHistory();
+    }
+
+    this.updateToast(toastData, null, { timeout: options.timeout });
+    return toastData.handle;
+  }
+
   /**
    * Updates an existing toast's content
-   * @param {HTMLElement} toast - Toast element to update
+   * @param {HTMLElement|Object} toast - Toast element or entry from activeToasts
    * @param {string} message - New message text
    * @param {Object} opts - Options to update
+   * @param {string} opts.description - New description text
+   * @param {string} opts.type - New toast type (success, error, info, warning, dark, light)
+   * @param {number} opts.timeout - Restart the auto-dismiss timer with this timeout (0 to keep open)
+   * @param {boolean} opts.loading - Show a spinner instead of the type icon
    */
   updateToast(toast, message, opts = {}) {
-    if (!toast || !toast.parentNode) return;
-    
-    const messageEl = toast.querySelector('.toast-message');
-    const descEl = toast.querySelector('.toast-description');
-    
-    if (message && messageEl) {
-      messageEl.textContent = message;
+    const toastData = this.findToastData(toast);
+    if (!toastData || toastData.isRemoving) return;
+
+    // What changed, for the renderer
+    const changes = {};
+
+    if (message) {
+      toastData.message = String(message);
+      changes.message = toastData.message;
     }
-    
-    if (opts.description && descEl) {
-      descEl.textContent = opts.description;
-    } else if (opts.description) {
-      const descriptionElement = document.createElement("div");
-      descriptionElement.className = "toast-description";
-      descriptionElement.textContent = opts.description;
-      toast.querySelector('.toast-content')?.appendChild(descriptionElement);
+
+    if (opts.description && typeof opts.description === 'string') {
+      toastData.description = opts.description;
+      changes.description = toastData.description;
     }
-    
+
     // Update type/style if provided
-    if (opts.type) {
-      const validTypes = ['success', 'error', 'info', 'warning', 'dark', 'light'];
-      if (validTypes.includes(opts.type)) {
-        validTypes.forEach(t => toast.classList.remove(t));
-        toast.classList.add(opts.type);
-        const iconWrapper = toast.querySelector('.toast-icon');
-        if (iconWrapper) {
-          iconWrapper.innerHTML = this.getIconSVG(opts.type);
+    if (opts.type && (builtInTypes.includes(opts.type) || customTypes[opts.type])) {
+      toastData.type = opts.type;
+      changes.type = opts.type;
+    }
+
+    if (typeof opts.loading === 'boolean' && opts.loading !== toastData.loading) {
+      toastData.loading = opts.loading;
+      changes.loading = opts.loading;
+    }
+
+    // Restart auto-dismiss timer if a new timeout is provided
+    if (typeof opts.timeout === 'number') {
+      if (toastData.timeout) {
+        clearTimeout(toastData.timeout);
+        toastData.timeout = null;
+      }
+      toastData.remainingTime = opts.timeout;
+
+      // A paused toast picks up the new timeout when it resumes
+      if (!toastData.isPaused && opts.timeout > 0) {
+        this.startToastTimer(toastData);
+        changes.remaining = opts.timeout;
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.renderToast(toastData, changes);
+    }
+
+    if (toastData.broadcast) {
+      this.postBroadcast('update', {
+        id: toastData.id,
+        message: message || null,
+        description: opts.description || null,
+        type: opts.type || null,
+        timeout: typeof opts.timeout === 'number' ? opts.timeout : null
+      });
+    }
+
+    // Keep the history entry in sync with the latest content (e.g. promise() settling)
+    if (toastData.historyEntry) {
+      const entry = toastData.historyEntry;
+      entry.message = toastData.message;
+      entry.description = toastData.description;
+      entry.type = toastData.type;
+      this.renderHistory();
+    }
+
+    this.emit('update', {
+      id: toastData.id,
+      element: toastData.element,
+      message: toastData.message,
+      type: toastData.type
+    });
+  }
+
+  /**
+   * Starts (or restarts) the auto-dismiss timer of a tracked toast using its
+   * remaining time. Callers pass { remaining } to the renderer so the progress bar restarts.
+   * @param {Object} toastData - Entry from activeToasts
+   */
+  startToastTimer(toastData) {
+    toastData.startTime = Date.now();
+    toastData.timeout = setTimeout(() => this.removeToast(toastData, 'timeout'), toastData.remainingTime);
+  }
+
+  /**
+   * Pauses a toast's auto-dismiss timer and progress bar
+   * @param {HTMLElement|Object} toast - Toast element or entry from activeToasts
+   * @param {string} source - What is holding the toast paused (default: 'manual')
+   */
+  pauseToast(toast, source = 'manual') {
+    const toastData = this.findToastData(toast);
+    // Don't pause if toast is being removed
+    if (!toastData || toastData.isRemoving) return;
+
+    toastData.pausedBy.add(source);
+    if (toastData.isPaused) return;
+
+    toastData.isPaused = true;
+    if (toastData.timeout) {
+      clearTimeout(toastData.timeout);
+      toastData.timeout = null;
+      toastData.remainingTime -= (Date.now() - toastData.startTime);
+    }
+    this.renderToast(toastData, { paused: true });
+    this.emit('pause', { id: toastData.id, element: toastData.element, source });
+  }
+
+  /**
+   * Resumes a paused toast once no other source is holding it paused
+   * @param {HTMLElement|Object} toast - Toast element or entry from activeToasts
+   * @param {string} source - Pause source to release (default: 'manual')
+   */
+  resumeToast(toast, source = 'manual') {
+    const toastData = this.findToastData(toast);
+    // Don't restart timer if toast is being removed
+    if (!toastData || toastData.isRemoving) return;
+
+    toastData.pausedBy.delete(source);
+    if (!toastData.isPaused || toastData.pausedBy.size > 0) return;
+
+    toastData.isPaused = false;
+    const changes = { paused: false };
+    if (toastData.remainingTime > 0) {
+      this.startToastTimer(toastData);
+      changes.remaining = toastData.remainingTime;
+    }
+    this.renderToast(toastData, changes);
+    this.emit('resume', { id: toastData.id, element: toastData.element, source });
+  }
+
+  /**
+   * Built-in DOM renderer: applies changes of a tracked toast to its element
+   * @param {Object} toast - Toast state (see getRenderState())
+   * @param {Object} changes - Changed fields (see renderToast())
+   */
+  updateToastElement(toast, changes) {
+    const element = toast.element;
+    if (!element) return;
+
+    if ('message' in changes) {
+      const messageEl = element.querySelector('.toast-message');
+      if (messageEl) {
+        messageEl.textContent = toast.message;
+      }
+    }
+
+    if ('description' in changes) {
+      let descEl = element.querySelector('.toast-description');
+      if (!descEl) {
+        descEl = document.createElement("div");
+        descEl.className = "toast-description";
+        element.querySelector('.toast-content')?.appendChild(descEl);
+      }
+      descEl.textContent = toast.description;
+    }
+
+    if ('type' in changes) {
+      const validTypes = [...builtInTypes, ...Object.keys(customTypes)];
+      validTypes.forEach(t => element.classList.remove(t));
+      element.classList.add(toast.type);
+      element.dataset.type = toast.type;
+      const iconWrapper = element.querySelector('.toast-icon');
+      if (iconWrapper && !toast.loading) {
+        iconWrapper.innerHTML = this.getIconSVG(toast.type);
+      }
+    }
+
+    if ('count' in changes) {
+      let badge = element.querySelector('.toast-count');
+      if (!badge) {
+        badge = document.createElement("span");
+        badge.className = "toast-count";
+        element.insertBefore(badge, element.querySelector('.close-btn'));
+      }
+      badge.textContent = `×${toast.count}`;
+      badge.setAttribute('aria-label', this.translate('repeated', { count: toast.count }));
+
+      // Replay the bump animation
+      badge.classList.remove('bump');
+      void badge.offsetWidth; // Force reflow
+      badge.classList.add('bump');
+    }
+
+    if ('paused' in changes) {
+      element.classList.toggle('paused', toast.paused);
+    }
+
+    if ('remaining' in changes) {
+      // Update CSS variable for remaining progress
+      element.style.setProperty('--duration', `${changes.remaining}ms`);
+      // Restart the progress bar animation only (not the main toast animation)
+      // Using class toggle to reset pseudo-element animation without affecting main element
+      element.classList.add('progress-restart');
+      void element.offsetHeight; // Force reflow
+      element.classList.remove('progress-restart');
+    }
+
+    if ('loading' in changes) {
+      element.classList.toggle('loading', toast.loading);
+      const iconWrapper = element.querySelector('.toast-icon');
+      if (iconWrapper) {
+        iconWrapper.innerHTML = this.getIconSVG(toast.loading ? 'loading' : (toast.type === 'custom' ? 'success' : toast.type));
+      }
+      if (toast.loading) {
+        element.setAttribute('aria-busy', 'true');
+      } else {
+        // Announce the settled state with the ARIA of its type
+        element.removeAttribute('aria-busy');
+        this.setToastAria(element, toast.type, toast.options);
+      }
+    }
+  }
+
+  /**
+   * Dismisses a toast: resolves its closed promise, runs onClose and lets the
+   * renderer unmount it (the DOM renderer plays the car swipe animation)
+   * @param {HTMLElement|Object} toast - Toast element or entry from activeToasts
+   * @param {string} reason - Why the toast was dismissed: 'timeout', 'close', 'escape',
+   *   'action', 'swipe', 'evicted', 'broadcast' (dismissed in another tab) or 'programmatic' (default).
+   *   Resolves the handle's closed promise.
+   */
+  removeToast(toast, reason = 'programmatic') {
+    const toastData = this.findToastData(toast);
+
+    if (!toastData) {
+      // Already animating out
+      if (this.removingToasts.some(t => t === toast || t.element === toast)) return;
+
+      // Confirmation and input dialogs aren't tracked - just animate them out
+      if (!toast || !toast.parentNode) {
+        console.warn('ToastifyPro: Invalid toast element for removal.');
+        return;
+      }
+      this.animateToastOut(toast);
+      return;
+    }
+
+    try {
+      // Prevent hover events from interfering during removal
+      toastData.isRemoving = true;
+      toastData.reason = reason;
+      if (toastData.timeout) {
+        clearTimeout(toastData.timeout);
+      }
+      this.activeToasts.splice(this.activeToasts.indexOf(toastData), 1);
+      // Listed as removing in the store until the renderer has unmounted it
+      this.removingToasts.push(toastData);
+      toastData.resolveClosed(reason);
+
+      if (toastData.historyEntry) {
+        toastData.historyEntry.reason = reason;
+        this.renderHistory();
+      }
+
+      if (toastData.persist) {
+        this.savePersistedToasts();
+      }
+
+      if (toastData.systemNotification) {
+        toastData.systemNotification.close();
+        toastData.systemNotification = null;
+      }
+
+      // Each tab runs its own timers; explicit dismissals apply everywhere
+      if (toastData.broadcast && reason !== 'timeout' && reason !== 'evicted') {
+        this.postBroadcast('dismiss', { id: toastData.id });
+      }
+
+      this.emit('dismiss', { id: toastData.id, element: toastData.element, reason });
+      if (toastData.onClose) {
+        try {
+          toastData.onClose(reason);
+        } catch (error) {
+          console.error('ToastifyPro: Error in onClose callback:', error);
+        }
+      }
+
+      // The renderer calls done (or resolves the promise it returns) once the toast is gone
+      let unmounted = false;
+      const done = () => {
+        if (unmounted) return;
+        unmounted = true;
+        this.removingToasts = this.removingToasts.filter(t => t !== toastData);
+        this.emit('removed', { id: toastData.id, element: toastData.element, reason });
+        if (this.isDestroyed && this.removingToasts.length === 0) {
+          this.finishDestroy();
+        }
+      };
+      const result = this.renderer.unmount(this.getRenderState(toastData), done);
+      if (result && typeof result.then === 'function') {
+        result.then(done, done);
+      }
+
+      // A slot freed up - display the next queued toast once the renderer has started
+      // unmounting this one (evictions make room for a new toast instead)
+      if (reason !== 'evicted') {
+        this.showNextQueued();
+      }
+    } catch (error) {
+      console.error('ToastifyPro: Error removing toast:', error);
+      // Fallback: remove immediately if unmounting fails
+      const element = toastData.element;
+      if (element && element.parentNode && typeof element.remove === 'function') {
+        element.remove();
+      }
+      this.removingToasts = this.removingToasts.filter(t => t !== toastData);
+      this.notifyStore();
+      if (reason !== 'evicted') {
+        this.showNextQueued();
+      }
+    }
+  }
+
+  /**
+   * Built-in DOM renderer: plays the position-aware car swipe exit animation and
+   * removes the element
+   * @param {HTMLElement} toast - Toast element to remove
+   * @param {Function} done - Called once the element is removed
+   */
+  animateToastOut(toast, done = () => {}) {
+    if (!toast) {
+      done();
+      return;
+    }
+
+    // Mark the toast element as removing to prevent double-removal; a second caller
+    // is told once the running animation has removed it (or now, if it's gone already)
+    if (toast.dataset.removing === 'true') {
+      if (toast._removedCallbacks) {
+        toast._removedCallbacks.push(done);
+      } else {
+        done();
+      }
+      return;
+    }
+    toast.dataset.removing = 'true';
+    toast._removedCallbacks = [done];
+    const finish = () => {
+      const callbacks = toast._removedCallbacks || [];
+      toast._removedCallbacks = null;
+      callbacks.forEach(callback => callback());
+    };
+
+    try {
+      // Disable pointer events during exit animation to prevent hover issues
+      toast.style.pointerEvents = 'none';
+
+      // Detect position to choose the right swipe direction
+      const swipeAnimation = this.getSwipeAnimation(toast.parentNode);
+
+      if (toast.style.transform) {
+        // Swiped past the threshold: carry on from where the gesture left the toast
+        const { x, y } = swipeDirections[swipeAnimation];
+        toast.style.transition = 'transform 0.35s cubic-bezier(0.25, 0.46, 0.45, 0.94), opacity 0.35s ease-out';
+        toast.style.transform = `${toast.style.transform} translate(${x * 150}%, ${y * 150}%)`;
+        toast.style.opacity = '0';
+      } else {
+        // Apply fast car swipe animation with improved easing
+        toast.style.animation = `${swipeAnimation} 0.35s cubic-bezier(0.55, 0.0, 0.85, 0.36) forwards`;
+
+        // Add spinning icon animation for extra polish
+        const icon = toast.querySelector('.toast-icon');
+        if (icon) {
+          icon.style.animation = 'iconCarExit 0.35s cubic-bezier(0.55, 0.0, 0.85, 0.36) forwards';
         }
       }
+
+      // Remove element after animation completes
+      setTimeout(() => {
+        if (toast.parentNode) {
+          toast.remove();
+        }
+        finish();
+      }, 350);
+    } catch (error) {
+      console.error('ToastifyPro: Error removing toast:', error);
+      // Fallback: remove immediately if animation fails
+      if (toast.parentNode) {
+        toast.remove();
+      }
+      finish();
+    }
+  }
+
+  /**
+   * Picks the car swipe exit animation for a container's position
+   * @param {HTMLElement} container - Toast container element
+   * @returns {string} Animation name (carSwipeBottom, carSwipeTop, carSwipeLeft, carSwipeRight or carSwipeCenter)
+   */
+  getSwipeAnimation(container) {
+    const position = (container && container.className.split(' ')[1]) || ''; // get position class
+
+    // Choose animation based on position - car swipes away from screen edge
+    if (position.includes('bottom')) {
+      return 'carSwipeBottom'; // swipe down off screen
+    } else if (position.includes('top')) {
+      return 'carSwipeTop'; // swipe up off screen
+    } else if (position.includes('left')) {
+      return 'carSwipeLeft'; // swipe left off screen
+    } else if (position.includes('right')) {
+      return 'carSwipeRight'; // swipe right off screen
+    } else if (position.includes('center')) {
+      return 'carSwipeCenter'; // swipe down for center
+    }
+    return 'carSwipeBottom'; // default fallback
+  }
+
+  /**
+   * Enables swipe/drag to dismiss on a toast using pointer events. Dragging in the
+   * direction of its exit animation past the threshold dismisses it; shorter drags
+   * spring back, and dragging the other way is rubber-banded.
+   * @param {HTMLElement} toast - Toast element
+   * @param {Object} options - Merged toast options (swipeThreshold)
+   */
+  setupSwipeToDismiss(toast, options) {
+    const threshold = options.swipeThreshold > 0 ? options.swipeThreshold : 80;
+    let gesture = null;
+
+    const resetPosition = () => {
+      toast.classList.remove('swiping');
+      toast.style.transform = '';
+      toast.style.opacity = '';
+    };
+
+    toast.classList.add('swipeable');
+
+    toast.addEventListener('pointerdown', (e) => {
+      // Primary button only, and leave buttons/inputs clickable
+      if (e.button !== 0 || toast.dataset.removing === 'true') return;
+      if (e.target.closest && e.target.closest('button, a, input, textarea, select')) return;
+
+      gesture = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        direction: swipeDirections[this.getSwipeAnimation(toast.parentNode)],
+        offset: 0,
+        dragging: false
+      };
+    });
+
+    toast.addEventListener('pointermove', (e) => {
+      if (!gesture || e.pointerId !== gesture.pointerId) return;
+
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+
+      // Small movements are treated as clicks
+      if (!gesture.dragging) {
+        if (Math.hypot(dx, dy) < 5) return;
+        gesture.dragging = true;
+        toast.classList.add('swiping');
+        if (toast.setPointerCapture) {
+          toast.setPointerCapture(e.pointerId);
+        }
+        this.pauseToast(toast, 'swipe');
+      }
+
+      // Project the drag onto the dismiss direction; resist the opposite way
+      const distance = dx * gesture.direction.x + dy * gesture.direction.y;
+      gesture.offset = distance > 0 ? distance : distance * 0.2;
+
+      const tx = gesture.offset * gesture.direction.x;
+      const ty = gesture.offset * gesture.direction.y;
+      toast.style.transform = `translate(${tx}px, ${ty}px)`;
+      toast.style.opacity = String(1 - Math.min(Math.max(gesture.offset, 0) / threshold, 1) * 0.5);
+    });
+
+    const endGesture = (e) => {
+      if (!gesture || e.pointerId !== gesture.pointerId) return;
+      const { dragging, offset } = gesture;
+      gesture = null;
+      if (!dragging) return;
+
+      if (e.type === 'pointerup' && offset >= threshold) {
+        toast.classList.remove('swiping');
+        this.removeToast(toast, 'swipe');
+      } else {
+        // Spring back into place
+        resetPosition();
+        this.resumeToast(toast, 'swipe');
+      }
+    };
+
+    toast.addEventListener('pointerup', endGesture);
+    toast.addEventListener('pointercancel', endGesture);
+  }
+
+  /**
+   * Dismisses all active and queued toasts
+   * @param {string} type - Optional: only dismiss toasts of this type
+   */
+  dismissAll(type = null) {
+    // Drop matching queued toasts first so they don't fill the freed slots
+    [...this.pendingToasts].forEach(entry => {
+      if (!type || entry.type === type) {
+        this.removeQueuedToast(entry, 'programmatic');
+      }
+    });
+
+    const toastsCopy = [...this.activeToasts];
+    toastsCopy.forEach(toastData => {
+      if (!type || toastData.type === type) {
+        this.removeToast(toastData);
+      }
+    });
+  }
+  
+  /**
+   * Gets the control handle of an active or queued toast by ID
+   * @param {string} id - Toast ID
+   * @returns {Object|null} Toast control handle, or null if no toast has this ID
+   */
+  get(id) {
+    const toastData = this.activeToasts.find(t => t.id === String(id))
+      || this.pendingToasts.find(entry => entry.id === String(id));
+    return toastData ? toastData.handle : null;
+  }
+
+  /**
+   * Updates an active toast by ID
+   * @param {string} id - Toast ID
+   * @param {string} message - New message text
+   * @param {Object} opts - Options to update (see updateToast())
+   * @returns {Object|null} Toast control handle, or null if no active toast has this ID
+   */
+  update(id, message, opts = {}) {
+    const handle = this.get(id);
+    if (handle) {
+      handle.update(message, opts);
+    }
+    return handle;
+  }
+
+  /**
+   * Dismisses an active toast by ID
+   * @param {string} id - Toast ID
+   * @returns {boolean} Whether a toast was dismissed
+   */
+  dismiss(id) {
+    const handle = this.get(id);
+    if (!handle) return false;
+    handle.dismiss();
+    return true;
+  }
+
+  /**
+   * Checks whether a toast with the given ID is currently active
+   * @param {string} id - Toast ID
+   * @returns {boolean} True if the toast is showing and not being removed
+   */
+  isActive(id) {
+    return this.activeToasts.some(t => t.id === String(id));
+  }
+
+  /**
+   * Gets the count of active toasts
+   * @returns {number} Number of active toasts
+   */
+  getActiveCount() {
+    return this.activeToasts.length;
+  }
+
+  /**
+   * Gets the count of toasts waiting in the pending queue (overflow: 'queue')
+   * @returns {number} Number of queued toasts
+   */
+  getQueuedCount() {
+    return this.pendingToasts.length;
+  }
+
+  /**
+   * Discards all toasts waiting in the pending queue (their closed promises resolve with 'cleared')
+   * @returns {number} Number of queued toasts removed
+   */
+  clearQueue() {
+    const count = this.pendingToasts.length;
+    [...this.pendingToasts].forEach(entry => this.removeQueuedToast(entry, 'cleared'));
+    return count;
+  }
+
+  /**
+   * Tears the instance down: dismisses its toasts, removes its document and window
+   * listeners and history bell, and leaves the cross-tab channel. Event listeners
+   * and the container go once the toasts have been removed ('removed' still fires).
+   * Create a new instance to show toasts again.
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+    this.dismissAll();
+    this.isDestroyed = true;
+
+    this.pageListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.pageListeners = [];
+
+    if (this.historyBell) {
+      this.historyBell.destroy();
+    }
+
+    // Free the persisted toasts' key for the next instance
+    if (persistKeyOwners.get(this.persistKey) === this) {
+      persistKeyOwners.delete(this.persistKey);
+    }
+
+    // The shared channel closes with the tab's last instance on it
+    const channel = this.broadcastChannel;
+    if (channel) {
+      channel.instances.delete(this);
+      if (channel.instances.size === 0) {
+        channel.close();
+        delete broadcastChannels[channel.name];
+      }
+      this.broadcastChannel = null;
+    }
+
+    // Otherwise once the exit animations finish
+    if (this.removingToasts.length === 0) {
+      this.finishDestroy();
+    }
+  }
+
+  /**
+   * Last step of destroy(): drops event and store listeners, and removes the
+   * container if no toasts are left in it (other instances at the same position share it)
+   */
+  finishDestroy() {
+    this.off();
+    this.storeListeners.clear();
+
+    const container = this.container;
+    if (container && container.parentNode && container.children.length === 0) {
+      container.remove();
+    }
+  }
+
+  /**
+   * Adds an entry to the notification history, trimming it to historyLimit
+   * @param {Object} data - Entry data { id, message, description, type }, and reason for
+   *   toasts that were never shown ('dropped' by overflow 'drop', 'cleared' by clearQueue())
+   * @returns {Object} The stored history entry
+   */
+  recordHistory(data) {
+    const entry = {
+      ...data,
+      timestamp: Date.now(),
+      reason: data.reason || null, // Dismissal reason, set when the toast is dismissed
+      count: 1,
+      read: false
+    };
+
+    this.historyEntries.unshift(entry);
+    if (this.historyEntries.length > this.defaultOptions.historyLimit) {
+      this.historyEntries.length = this.defaultOptions.historyLimit;
+    }
+
+    this.renderHistory();
+    return entry;
+  }
+
+  /**
+   * Gets the recorded notification history, newest first
+   * @param {string} type - Optional: only return entries of this type
+   * @returns {Array<Object>} Copies of history entries
+   *   { id, message, description, type, timestamp, reason, count, read }
+   */
+  getHistory(type = null) {
+    return this.historyEntries
+      .filter(entry => !type || entry.type === type)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Removes all entries from the notification history
+   */
+  clearHistory() {
+    this.historyEntries = [];
+    this.renderHistory();
+  }
+
+  /**
+   * Marks history entries as read
+   * @param {string} id - Optional: only mark the entry for this toast ID
+   */
+  markHistoryRead(id = null) {
+    this.historyEntries.forEach(entry => {
+      if (id === null || entry.id === String(id)) {
+        entry.read = true;
+      }
+    });
+    this.renderHistory();
+  }
+
+  /**
+   * Gets the number of unread history entries
+   * @returns {number} Unread count
+   */
+  getUnreadCount() {
+    return this.historyEntries.filter(entry => !entry.read).length;
+  }
+
+  /**
+   * Mounts the built-in notification bell with its history panel. The panel lists
+   * recorded toasts with unread markers, a type filter, mark-as-read and clear.
+   * @param {HTMLElement} parent - Optional element to mount into (default: fixed in the top-right corner,
+   *   top-left for right-to-left layouts)
+   * @returns {Object} Control object { element, open, close, toggle, destroy }
+   */
+  mountHistoryBell(parent = null) {
+    if (this.historyBell) return this.historyBell;
+    if (!this.initDOM()) return null;
+
+    // Mounting the bell turns on recording
+    this.defaultOptions.history = true;
+
+    const wrapper = document.createElement("div");
+    wrapper.className = `toastify-pro-history${parent ? '' : ' fixed'}`;
+    wrapper.setAttribute('dir', this.resolveDirection());
+
+    // Bell button with unread badge
+    const bell = document.createElement("button");
+    bell.className = "history-bell";
+    bell.type = "button";
+    bell.setAttribute('aria-haspopup', 'dialog');
+    bell.setAttribute('aria-expanded', 'false');
+    bell.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+        <path d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.89 2 2 2zm6-6v-5c0-3.07-1.64-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68C7.63 5.36 6 7.92 6 11v5l-2 2v1h16v-1l-2-2z" fill="currentColor"/>
+      </svg>`;
+    const badge = document.createElement("span");
+    badge.className = "history-badge";
+    bell.appendChild(badge);
+    wrapper.appendChild(bell);
+
+    // Panel
+    const panel = document.createElement("div");
+    panel.className = "history-panel";
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', this.translate('historyLabel'));
+    panel.hidden = true;
+
+    const header = document.createElement("div");
+    header.className = "history-header";
+    const title = document.createElement("span");
+    title.className = "history-title";
+    title.textContent = this.translate('notifications');
+    const filter = document.createElement("select");
+    filter.className = "history-filter";
+    filter.setAttribute('aria-label', this.translate('filterByType'));
+    header.appendChild(title);
+    header.appendChild(filter);
+    panel.appendChild(header);
+
+    const actions = document.createElement("div");
+    actions.className = "history-actions";
+    const markReadBtn = document.createElement("button");
+    markReadBtn.type = "button";
+    markReadBtn.className = "history-mark-read";
+    markReadBtn.textContent = this.translate('markAllRead');
+    markReadBtn.onclick = () => this.markHistoryRead();
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.className = "history-clear";
+    clearBtn.textContent = this.translate('clearHistory');
+    clearBtn.onclick = () => this.clearHistory();
+    actions.appendChild(markReadBtn);
+    actions.appendChild(clearBtn);
+    panel.appendChild(actions);
+
+    const list = document.createElement("ul");
+    list.className = "history-list";
+    panel.appendChild(list);
+    wrapper.appendChild(panel);
+
+    let activeFilter = '';
+    filter.onchange = () => {
+      activeFilter = filter.value;
+      render();
+    };
+
+    // Times are formatted for the locale option (the browser's default when it's left at 'en')
+    const timeLocale = this.defaultOptions.locale === 'en' ? [] : this.resolveLocale();
+
+    const render = () => {
+      const unread = this.getUnreadCount();
+      badge.textContent = unread > 99 ? '99+' : String(unread);
+      badge.hidden = unread === 0;
+      bell.setAttribute('aria-label', unread ? this.translate('unreadNotifications', { count: unread }) : this.translate('notifications'));
+
+      // Rebuild filter options from the types present in history
+      const types = [...new Set(this.historyEntries.map(entry => entry.type).filter(Boolean))];
+      if (activeFilter && !types.includes(activeFilter)) {
+        activeFilter = '';
+      }
+      filter.innerHTML = '';
+      [''].concat(types).forEach(type => {
+        const option = document.createElement("option");
+        option.value = type;
+        if (!type) {
+          option.textContent = this.translate('allTypes');
+        } else {
+          // Built-in types are translated; registered ones show their capitalized name
+          option.textContent = builtInTypes.includes(type) ? this.translate(type) : type.charAt(0).toUpperCase() + type.slice(1);
+        }
+        filter.appendChild(option);
+      });
+      filter.value = activeFilter;
+
+      if (panel.hidden) return;
+
+      list.innerHTML = '';
+      const entries = this.getHistory(activeFilter || null);
+      if (entries.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "history-empty";
+        empty.textContent = this.translate('noNotifications');
+        list.appendChild(empty);
+        return;
+      }
+
+      entries.forEach(entry => {
+        const item = document.createElement("li");
+        item.className = `history-item ${entry.type || ''}${entry.read ? '' : ' unread'}`;
+        item.tabIndex = 0;
+
+        const icon = document.createElement("div");
+        icon.className = "history-icon";
+        icon.setAttribute('aria-hidden', 'true');
+        icon.innerHTML = this.getIconSVG(entry.type);
+        item.appendChild(icon);
+
+        const content = document.createElement("div");
+        content.className = "history-content";
+        const messageEl = document.createElement("div");
+        messageEl.className = "history-message";
+        messageEl.textContent = entry.count > 1 ? `${entry.message} (×${entry.count})` : entry.message;
+        content.appendChild(messageEl);
+        if (entry.description) {
+          const descriptionEl = document.createElement("div");
+          descriptionEl.className = "history-description";
+          descriptionEl.textContent = entry.description;
+          content.appendChild(descriptionEl);
+        }
+        const meta = document.createElement("div");
+        meta.className = "history-meta";
+        meta.textContent = new Date(entry.timestamp).toLocaleTimeString(timeLocale, { hour: '2-digit', minute: '2-digit' });
+        content.appendChild(meta);
+        item.appendChild(content);
+
+        // Clicking an entry marks it as read
+        const markRead = () => this.markHistoryRead(entry.id);
+        item.onclick = markRead;
+        item.onkeydown = (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            markRead();
+          }
+        };
+        list.appendChild(item);
+      });
+    };
+
+    // composedPath() still includes list items that were re-rendered away during the click
+    const handleOutsideClick = (e) => {
+      if (!e.composedPath().includes(wrapper)) close();
+    };
+
+    const open = () => {
+      panel.hidden = false;
+      bell.setAttribute('aria-expanded', 'true');
+      render();
+      wrapper.ownerDocument.addEventListener('click', handleOutsideClick);
+    };
+
+    const close = () => {
+      panel.hidden = true;
+      bell.setAttribute('aria-expanded', 'false');
+      wrapper.ownerDocument.removeEventListener('click', handleOutsideClick);
+    };
+
+    const toggle = () => (panel.hidden ? open() : close());
+    bell.onclick = toggle;
+
+    // Escape closes the panel without dismissing toasts
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        close();
+        bell.focus();
+      }
+    });
+
+    const destroy = () => {
+      close();
+      wrapper.remove();
+      this.historyBell = null;
+    };
+
+    (parent || this.mountNode).appendChild(wrapper);
+
+    this.historyBell = { element: wrapper, open, close, toggle, destroy, render };
+    render();
+    return this.historyBell;
+  }
+
+  /**
+   * Refreshes the mounted history bell and panel, if any
+   */
+  renderHistory() {
+    if (this.historyBell) {
+      this.historyBell.render();
+    }
+  }
+
+  /**
+   * Writes this instance's persisted active and queued toasts to sessionStorage,
+   * including the time each one has left before auto-dismiss
+   */
+  savePersistedToasts() {
+    if (typeof sessionStorage === 'undefined' || !this.persistKey) return;
+
+    // Save again right before the page goes away so remaining times are current
+    if (!this.persistListenerAdded && typeof window !== 'undefined') {
+      this.persistListenerAdded = true;
+      this.addPageListener(window, 'pagehide', () => this.savePersistedToasts());
+    }
+
+    const entries = [];
+
+    this.activeToasts.forEach(toastData => {
+      if (!toastData.persist || toastData.isRemoving) return;
+
+      let remainingTime = toastData.remainingTime;
+      if (toastData.timeout && !toastData.isPaused) {
+        remainingTime -= (Date.now() - toastData.startTime);
+      }
+      // Timer already ran out - nothing to restore
+      if (toastData.remainingTime > 0 && remainingTime <= 0) return;
+
+      const entry = {
+        id: toastData.hasCustomId ? toastData.id : null,
+        message: toastData.message,
+        type: toastData.type,
+        description: toastData.description,
+        priority: toastData.options.priority,
+        remainingTime: Math.max(remainingTime, 0) // 0 = no auto-dismiss
+      };
+      // custom() colors, so the toast is restored with the same look
+      if (toastData.type === 'custom') {
+        entry.customGradient = toastData.options.customGradient || null;
+        entry.customTextLight = !!toastData.options.customTextLight;
+      }
+      entries.push(entry);
+    });
+
+    this.pendingToasts.forEach(entry => {
+      if (!entry.opts.persist) return;
+      const queued = {
+        id: entry.hasCustomId ? entry.id : null,
+        message: entry.message,
+        type: entry.type,
+        description: entry.opts.description || '',
+        priority: entry.opts.priority,
+        remainingTime: typeof entry.opts.timeout === 'number' ? entry.opts.timeout : null
+      };
+      if (entry.type === 'custom') {
+        queued.customGradient = entry.opts.customGradient || null;
+        queued.customTextLight = !!entry.opts.customTextLight;
+      }
+      entries.push(queued);
+    });
+
+    try {
+      if (entries.length > 0) {
+        sessionStorage.setItem(this.persistKey, JSON.stringify(entries));
+      } else {
+        sessionStorage.removeItem(this.persistKey);
+      }
+    } catch (error) {
+      console.warn('ToastifyPro: Failed to persist toasts:', error);
+    }
+  }
+
+  /**
+   * Shows toasts persisted for this instance by the previous page,
+   * along with any pending flash messages
+   */
+  restorePersistedToasts() {
+    if (typeof sessionStorage === 'undefined' || !this.persistKey) return;
+
+    let entries = [];
+    try {
+      [this.persistKey, flashStorageKey].forEach(key => {
+        const stored = sessionStorage.getItem(key);
+        if (stored) {
+          sessionStorage.removeItem(key);
+          // Flash messages are shown once, so they aren't persisted again
+          const flash = key === flashStorageKey;
+          entries = entries.concat(JSON.parse(stored).map(entry => ({ entry, flash })));
+        }
+      });
+    } catch (error) {
+      console.warn('ToastifyPro: Failed to restore persisted toasts:', error);
+      return;
+    }
+
+    entries.forEach(({ entry, flash }) => {
+      if (!entry || typeof entry.message !== 'string') return;
+
+      const opts = { persist: !flash };
+      if (entry.id) opts.id = entry.id;
+      if (entry.description) opts.description = entry.description;
+      if (entry.priority) opts.priority = entry.priority;
+      if (typeof entry.remainingTime === 'number') opts.timeout = entry.remainingTime;
+
+      if (entry.type === 'custom') {
+        if (!entry.customGradient) return;
+        this.showCustom(entry.message, { ...opts, customGradient: entry.customGradient, customTextLight: !!entry.customTextLight });
+      } else {
+        this.show(entry.message, entry.type, opts);
+      }
+    });
+  }
+
+  /**
+   * Joins the cross-tab channel, opening it if it's the tab's first instance on it:
+   * BroadcastChannel where available, otherwise localStorage "storage" events
+   */
+  setupBroadcast() {
+    if (typeof window === 'undefined') return;
+
+    const name = typeof this.defaultOptions.broadcast === 'string' ? this.defaultOptions.broadcast : 'toastify-pro';
+    const existing = broadcastChannels[name];
+    if (existing) {
+      existing.instances.add(this);
+      this.broadcastChannel = existing;
+      return;
+    }
+
+    try {
+      const shared = { name, instances: new Set([this]), post: null, close: null };
+
+      if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(name);
+        channel.onmessage = (e) => routeBroadcast(shared, e.data);
+        shared.post = (data) => channel.postMessage(data);
+        shared.close = () => channel.close();
+      } else if (typeof localStorage !== 'undefined') {
+        // Fallback: storage events fire in every other tab of the same origin
+        const storageKey = `toastify-pro:broadcast:${name}`;
+        const handleStorage = (e) => {
+          if (e.key !== storageKey || !e.newValue) return;
+          try {
+            routeBroadcast(shared, JSON.parse(e.newValue));
+          } catch (error) {
+            console.warn('ToastifyPro: Ignoring malformed broadcast message.');
+          }
+        };
+        window.addEventListener('storage', handleStorage);
+        shared.post = (data) => {
+          localStorage.setItem(storageKey, JSON.stringify({ ...data, nonce: Math.random() }));
+          localStorage.removeItem(storageKey);
+        };
+        shared.close = () => window.removeEventListener('storage', handleStorage);
+      } else {
+        console.warn('ToastifyPro: Cross-tab broadcast is not supported in this environment.');
+        return;
+      }
+
+      broadcastChannels[name] = shared;
+      this.broadcastChannel = shared;
+    } catch (error) {
+      console.warn('ToastifyPro: Failed to set up cross-tab broadcast:', error);
+    }
+  }
+
+  /**
+   * Sends a toast change to the other tabs
+   * @param {string} action - 'show', 'update' or 'dismiss'
+   * @param {Object} payload - Serializable toast data (always includes id)
+   */
+  postBroadcast(action, payload) {
+    if (!this.broadcastChannel || this.isApplyingBroadcast) return;
+
+    try {
+      this.broadcastChannel.post({ tabId: broadcastTabId, action, ...payload });
+    } catch (error) {
+      console.warn('ToastifyPro: Failed to broadcast toast:', error);
     }
   }
 
   /**
-   * Removes a toast with position-aware car swipe animation
-   * @param {HTMLElement} toast - Toast element to remove
+   * Applies a toast change received from another tab
+   * @param {Object} data - Broadcast message { action, id, message, type, description, timeout, priority, position }
    */
-  removeToast(toast) {
-    if (!toast || !toast.parentNode) {
-      console.warn('ToastifyPro: Invalid toast element for removal.');
-      return;
-    }
-
+  applyBroadcast(data) {
+    this.isApplyingBroadcast = true;
     try {
-      // Remove from active toasts tracking and set removal flag
-      const toastIndex = this.activeToasts.findIndex(t => t.element === toast);
-      if (toastIndex > -1) {
-        const toastData = this.activeToasts[toastIndex];
-        // Prevent hover events from interfering during removal
-        toastData.isRemoving = true;
-        if (toastData.timeout) {
-          clearTimeout(toastData.timeout);
+      if (data.action === 'show') {
+        const opts = { id: data.id, broadcast: true, fromBroadcast: true };
+        if (data.description) opts.description = data.description;
+        if (typeof data.timeout === 'number') opts.timeout = data.timeout;
+        if (data.priority) opts.priority = data.priority;
+        // Showing an existing ID updates it in place, so the toast appears once per tab
+        this.show(data.message, data.type, opts);
+      } else if (data.action === 'update') {
+        const opts = {};
+        if (data.description) opts.description = data.description;
+        if (data.type) opts.type = data.type;
+        if (typeof data.timeout === 'number') opts.timeout = data.timeout;
+        this.update(data.id, data.message, opts);
+      } else if (data.action === 'dismiss') {
+        const toastData = this.activeToasts.find(t => t.id === String(data.id));
+        if (toastData) {
+          this.removeToast(toastData, 'broadcast');
+        } else {
+          // Still waiting in the queue
+          const handle = this.get(data.id);
+          if (handle) handle.dismiss();
         }
-        this.activeToasts.splice(toastIndex, 1);
-      }
-      
-      // Mark the toast element as removing to prevent double-removal
-      if (toast.dataset.removing === 'true') return;
-      toast.dataset.removing = 'true';
-      
-      // Disable pointer events during exit animation to prevent hover issues
-      toast.style.pointerEvents = 'none';
-      
-      // Detect position to choose the right swipe direction
-      const container = toast.parentNode;
-      const position = container.className.split(' ')[1]; // get position class
-      
-      let swipeAnimation = 'carSwipeBottom'; // default fallback
-      
-      // Choose animation based on position - car swipes away from screen edge
-      if (position.includes('bottom')) {
-        swipeAnimation = 'carSwipeBottom'; // swipe down off screen
-      } else if (position.includes('top')) {
-        swipeAnimation = 'carSwipeTop'; // swipe up off screen
-      } else if (position.includes('left')) {
-        swipeAnimation = 'carSwipeLeft'; // swipe left off screen
-      } else if (position.includes('right')) {
-        swipeAnimation = 'carSwipeRight'; // swipe right off screen
-      } else if (position.includes('center')) {
-        swipeAnimation = 'carSwipeCenter'; // swipe down for center
       }
-      
-      // Apply fast car swipe animation with improved easing
-      toast.style.animation = `${swipeAnimation} 0.35s cubic-bezier(0.55, 0.0, 0.85, 0.36) forwards`;
-      
-      // Add spinning icon animation for extra polish
-      const icon = toast.querySelector('.toast-icon');
-      if (icon) {
-        icon.style.animation = 'iconCarExit 0.35s cubic-bezier(0.55, 0.0, 0.85, 0.36) forwards';
-      }
-      
-      // Remove element after animation completes
-      setTimeout(() => {
-        if (toast.parentNode) {
-          toast.remove();
-        }
-      }, 350);
-    } catch (error) {
-      console.error('ToastifyPro: Error removing toast:', error);
-      // Fallback: remove immediately if animation fails
-      if (toast.parentNode) {
-        toast.remove();
+    } finally {
+      this.isApplyingBroadcast = false;
+    }
+  }
+
+  /**
+   * Holds a toast shown while the tab is hidden: its timer stays paused until the
+   * tab is visible again, and it is mirrored as a native Notification if allowed
+   * @param {Object} toastData - Entry from activeToasts
+   * @param {Object} options - Merged toast options (systemNotification)
+   */
+  holdForSystemNotification(toastData, options) {
+    this.pauseToast(toastData, 'system');
+
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      const type = toastData.type === 'custom' ? 'success' : toastData.type;
+      const config = typeof options.systemNotification === 'object' ? options.systemNotification : {};
+
+      // Icon by type: the toast's SVG icon colored with the theme color
+      const colors = {
+        success: '#22c55e',
+        error: '#ef4444',
+        info: '#3b82f6',
+        warning: '#f59e0b',
+        dark: '#0f172a',
+        light: '#64748b'
+      };
+      const customColor = customTypes[type] && customTypes[type].progressColor;
+      const svg = this.getIconSVG(type).replace(/currentColor/g, colors[type] || customColor || colors.info);
+
+      try {
+        const notification = new Notification(toastData.message, {
+          body: toastData.description,
+          icon: config.icon || `data:image/svg+xml,${encodeURIComponent(svg)}`,
+          tag: toastData.id
+        });
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+        };
+        toastData.systemNotification = notification;
+      } catch (error) {
+        console.warn('ToastifyPro: Failed to show system notification:', error);
       }
     }
+
+    // Release the in-page toast once the user is back
+    const handleVisibility = () => {
+      if (document.visibilityState !== 'visible') return;
+      document.removeEventListener('visibilitychange', handleVisibility);
+      if (toastData.systemNotification) {
+        toastData.systemNotification.close();
+        toastData.systemNotification = null;
+      }
+      this.resumeToast(toastData, 'system');
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
   }
-  
+
   /**
-   * Dismisses all active toasts
-   * @param {string} type - Optional: only dismiss toasts of this type
+   * Asks the user for permission to show native notifications (systemNotification option)
+   * @returns {Promise<string>} 'granted', 'denied', 'default', or 'unsupported' if the browser lacks the API
    */
-  dismissAll(type = null) {
-    const toastsCopy = [...this.activeToasts];
-    toastsCopy.forEach(toastData => {
-      if (toastData.element) {
-        if (type) {
-          if (toastData.element.classList.contains(type)) {
-            this.removeToast(toastData.element);
-          }
-        } else {
-          this.removeToast(toastData.element);
-        }
+  requestSystemPermission() {
+    if (typeof Notification === 'undefined') {
+      return Promise.resolve('unsupported');
+    }
+    if (Notification.permission !== 'default') {
+      return Promise.resolve(Notification.permission);
+    }
+
+    return new Promise(resolve => {
+      // Older Safari only supports the callback form
+      const result = Notification.requestPermission(resolve);
+      if (result && typeof result.then === 'function') {
+        result.then(resolve, () => resolve('denied'));
       }
     });
   }
-  
+
   /**
-   * Gets the count of active toasts
-   * @returns {number} Number of active toasts
+   * Tracks an async operation with a single toast that morphs from a loading
+   * state into a success or error state when the promise settles
+   * @param {Promise|Function} promiseOrFn - Promise to track, or a function returning one
+   * @param {Object} messages - Messages for each state
+   * @param {string} messages.loading - Message shown while pending (default: 'Loading...', translated)
+   * @param {string|Function} messages.success - Message on resolve, or function receiving the result
+   * @param {string|Function} messages.error - Message on reject, or function receiving the error
+   * @param {Object} opts - Toast options (same as show()); timeout applies after settling
+   * @returns {Promise} The original promise, so it can be awaited
+   * 
+   * @example
+   * toast.promise(fetch('/api/save'), {
+   *   loading: 'Saving...',
+   *   success: 'Saved!',
+   *   error: (err) => `Save failed: ${err.message}`
+   * });
    */
-  getActiveCount() {
-    return this.activeToasts.length;
+  promise(promiseOrFn, messages = {}, opts = {}) {
+    let promise = promiseOrFn;
+    if (typeof promiseOrFn === 'function') {
+      try {
+        promise = promiseOrFn();
+      } catch (error) {
+        promise = Promise.reject(error);
+      }
+    }
+
+    if (!promise || typeof promise.then !== 'function') {
+      console.warn('ToastifyPro: promise() expects a Promise or a function returning one.');
+      promise = Promise.resolve(promise);
+    }
+
+    // Still hand the promise back on the server
+    if (!this.initToasts()) return promise;
+
+    if (typeof messages !== 'object' || messages === null) {
+      messages = {};
+    }
+    if (typeof opts !== 'object' || opts === null) {
+      opts = {};
+    }
+
+    const timeout = typeof opts.timeout === 'number' ? opts.timeout : this.defaultOptions.timeout;
+
+    // Resolve a message that may be a string or a function of the settled value
+    const resolveMessage = (msg, value, fallback) => {
+      if (typeof msg === 'function') {
+        try {
+          msg = msg(value);
+        } catch (error) {
+          console.error('ToastifyPro: Error in promise message function:', error);
+          msg = null;
+        }
+      }
+      return msg ? String(msg) : fallback;
+    };
+
+    // Never merged with another toast: each operation settles its own
+    const handle = this.show(messages.loading || this.translate('loading'), 'info', { ...opts, timeout: 0, loading: true, dedupe: false });
+
+    if (handle) {
+      // Ending the loading state restores the icon and ARIA of the settled type
+      const settle = (type, message) => {
+        handle.update(message, { type, timeout, loading: false });
+      };
+
+      promise.then(
+        (result) => settle('success', resolveMessage(messages.success, result, this.translate('promiseSuccess'))),
+        (error) => settle('error', resolveMessage(messages.error, error, this.translate('promiseError')))
+      );
+    }
+
+    return promise;
   }
 
   /**
    * Shows a success toast notification
    * @param {string} msg - Main message
    * @param {string|Object} opts - Description string or options object
+   * @returns {Object} Toast control handle (see show())
    */
   success(msg, opts) {
     // Handle both (message) and (message, description) formats
     if (typeof opts === 'string') {
       opts = { description: opts };
     }
-    this.show(msg, "success", opts);
+    return this.show(msg, "success", opts);
   }
 
   /**
    * Shows an error toast notification
    * @param {string} msg - Main message
    * @param {string|Object} opts - Description string or options object
+   * @returns {Object} Toast control handle (see show())
    */
   error(msg, opts) {
     if (typeof opts === 'string') {
       opts = { description: opts };
     }
-    this.show(msg, "error", opts);
+    return this.show(msg, "error", opts);
   }
 
   /**
    * Shows an info toast notification
    * @param {string} msg - Main message
    * @param {string|Object} opts - Description string or options object
+   * @returns {Object} Toast control handle (see show())
    */
   info(msg, opts) {
     if (typeof opts === 'string') {
       opts = { description: opts };
     }
-    this.show(msg, "info", opts);
+    return this.show(msg, "info", opts);
   }
 
   /**
    * Shows a warning toast notification
    * @param {string} msg - Main message
    * @param {string|Object} opts - Description string or options object
+   * @returns {Object} Toast control handle (see show())
    */
   warning(msg, opts) {
     if (typeof opts === 'string') {
       opts = { description: opts };
     }
-    this.show(msg, "warning", opts);
+    return this.show(msg, "warning", opts);
   }
 
   /**
    * Shows a dark-themed toast notification
    * @param {string} msg - Main message
    * @param {string|Object} opts - Description string or options object
+   * @returns {Object} Toast control handle (see show())
    */
   dark(msg, opts) {
     if (typeof opts === 'string') {
       opts = { description: opts };
     }
-    this.show(msg, "dark", opts);
+    return this.show(msg, "dark", opts);
   }
 
   /**
    * Shows a light-themed toast notification
    * @param {string} msg - Main message
    * @param {string|Object} opts - Description string or options object
+   * @returns {Object} Toast control handle (see show())
    */
   light(msg, opts) {
     if (typeof opts === 'string') {
       opts = { description: opts };
     }
-    this.show(msg, "light", opts);
+    return this.show(msg, "light", opts);
   }
 
   /**
@@ -1694,6 +4625,7 @@ class ToastifyPro {
    * @param {string|Object} opts - Description string or options object
    * @param {string} opts.primaryColor - Primary color for the toast
    * @param {string} opts.secondaryColor - Secondary color for gradient (optional)
+   * @returns {Object} Toast control handle (see show())
    */
   custom(msg, opts) {
     if (typeof opts === 'string') {
@@ -1764,142 +4696,82 @@ class ToastifyPro {
       customTextLight: needsLightText
     };
     
-    this.showCustom(msg, customOpts);
+    return this.showCustom(msg, customOpts);
   }
 
   /**
    * Internal method to show a custom-styled toast
    * @param {string} message - Main message text
    * @param {Object} opts - Options including customGradient and customTextLight
+   * @returns {Object} Toast control handle (see show())
    */
   showCustom(message, opts = {}) {
-    if (typeof message !== 'string') {
-      message = String(message);
-    }
-
-    if (!message.trim()) {
-      console.warn('ToastifyPro: Empty message provided.');
-      return;
-    }
-
-    const options = { ...this.defaultOptions, ...opts };
-
-    try {
-      const toast = document.createElement("div");
-      toast.className = `toastify-pro custom${options.customTextLight ? ' light-text' : ''}`;
-      
-      // Store reference to this instance
-      toast._toastInstance = this;
-      
-      // ARIA accessibility attributes
-      toast.setAttribute('role', 'status');
-      toast.setAttribute('aria-live', options.ariaLive || 'polite');
-      toast.setAttribute('aria-atomic', 'true');
-      
-      // Apply custom gradient
-      if (options.customGradient) {
-        toast.style.background = options.customGradient;
-      }
-      
-      if (options.timeout > 0) {
-        toast.style.setProperty('--duration', `${options.timeout}ms`);
-      }
-
-      // Create icon wrapper
-      const iconWrapper = document.createElement("div");
-      iconWrapper.className = "toast-icon";
-      iconWrapper.setAttribute('aria-hidden', 'true');
-      iconWrapper.innerHTML = this.getIconSVG('success'); // Use success icon for custom
-      toast.appendChild(iconWrapper);
+    // Goes through show() for maxToasts, overflow, priority and dedupe like other toasts;
+    // rendered with the custom gradient and the success icon
+    return this.show(message, 'custom', opts);
+  }
 
-      // Create content wrapper
-      const contentWrapper = document.createElement("div");
-      contentWrapper.className = "toast-content";
-      
-      const messageElement = document.createElement("div");
-      messageElement.className = "toast-message";
-      messageElement.textContent = message.substring(0, options.maxLength);
-      contentWrapper.appendChild(messageElement);
-      
-      if (options.description && typeof options.description === 'string') {
-        const descriptionElement = document.createElement("div");
-        descriptionElement.className = "toast-description";
-        descriptionElement.textContent = options.description.substring(0, options.maxLength * 2);
-        contentWrapper.appendChild(descriptionElement);
-      }
-      
-      toast.appendChild(contentWrapper);
+  /**
+   * Resolves the 'auto' appearance to 'dark' or 'light' from prefers-color-scheme
+   * @param {string} theme - Requested theme
+   * @returns {string} The theme, with 'auto' resolved
+   */
+  resolveAppearance(theme) {
+    if (theme !== 'auto') return theme;
+    const prefersLight = typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-color-scheme: light)').matches;
+    return prefersLight ? 'light' : 'dark';
+  }
 
-      if (options.allowClose) {
-        const closeBtn = document.createElement("button");
-        closeBtn.className = "close-btn";
-        closeBtn.innerHTML = "&times;";
-        closeBtn.setAttribute('type', 'button');
-        closeBtn.setAttribute('aria-label', 'Close notification');
-        closeBtn.onclick = () => this.removeToast(toast);
-        toast.appendChild(closeBtn);
-      }
+  /**
+   * Resolves the locale option, with 'auto' read from the page's lang attribute
+   * or the browser language
+   * @returns {string} Lowercase locale, e.g. 'en' or 'pt-br'
+   */
+  resolveLocale() {
+    let locale = this.defaultOptions.locale;
+    if (locale === 'auto') {
+      const doc = this.ownerDocument || (typeof document !== 'undefined' ? document : null);
+      locale = (doc && doc.documentElement && doc.documentElement.lang) ||
+        (typeof navigator !== 'undefined' && navigator.language) || 'en';
+    }
+    return locale.toLowerCase();
+  }
 
-      // Add toast to container (respect newestOnTop setting)
-      if (options.newestOnTop && this.container.firstChild) {
-        this.container.insertBefore(toast, this.container.firstChild);
-      } else {
-        this.container.appendChild(toast);
-      }
-      
-      // Track toast for queue management
-      const toastData = {
-        element: toast,
-        timeout: null,
-        remainingTime: options.timeout,
-        startTime: null,
-        isPaused: false
-      };
-      this.activeToasts.push(toastData);
-
-      // Pause on hover functionality
-      if (options.pauseOnHover && options.timeout > 0) {
-        toast.addEventListener('mouseenter', () => {
-          if (toastData.timeout) {
-            clearTimeout(toastData.timeout);
-            toastData.isPaused = true;
-            toastData.remainingTime -= (Date.now() - toastData.startTime);
-            toast.classList.add('paused');
-          }
-        });
-        
-        toast.addEventListener('mouseleave', () => {
-          if (toastData.isPaused && toastData.remainingTime > 0) {
-            toastData.isPaused = false;
-            toastData.startTime = Date.now();
-            toast.classList.remove('paused');
-            toast.style.setProperty('--duration', `${toastData.remainingTime}ms`);
-            toastData.timeout = setTimeout(() => this.removeToast(toast), toastData.remainingTime);
-          }
-        });
-      }
+  /**
+   * Returns a built-in string in the instance's language: the messages option first,
+   * then the locale's translations, its base language's (pt-br -> pt), then English
+   * @param {string} key - String key (see the translations table)
+   * @param {Object} values - Values for {placeholders}, e.g. { count: 3 }
+   * @returns {string} Translated text
+   */
+  translate(key, values = {}) {
+    const locale = this.resolveLocale();
+    const regional = translations[locale] || {};
+    const base = translations[locale.split('-')[0]] || {};
+    const messages = this.defaultOptions.messages || {};
+    const text = typeof messages[key] === 'string'
+      ? messages[key]
+      : (regional[key] ?? base[key] ?? translations.en[key] ?? key);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+  }
 
-      setTimeout(() => {
-        toast.classList.add("show");
-        const icon = toast.querySelector('.toast-icon');
-        if (icon) {
-          icon.style.animation = 'iconBounce 0.8s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
-        }
-      }, 10);
+  /**
+   * Resolves the dir option, with 'auto' read from the closest dir attribute around
+   * the root, then from the locale's script
+   * @returns {string} 'ltr' or 'rtl'
+   */
+  resolveDirection() {
+    const { dir } = this.defaultOptions;
+    if (dir !== 'auto') return dir;
 
-      if (options.timeout > 0) {
-        toastData.startTime = Date.now();
-        toastData.timeout = setTimeout(() => this.removeToast(toast), options.timeout);
-      }
+    const root = this.root || this.defaultOptions.root || (typeof document !== 'undefined' ? document : null);
+    const start = root && (root.nodeType === 9 ? root.documentElement : root.nodeType === 11 ? root.host : root);
+    const dirElement = start && typeof start.closest === 'function' ? start.closest('[dir]') : null;
+    const pageDir = dirElement ? dirElement.getAttribute('dir').toLowerCase() : '';
+    if (pageDir === 'ltr' || pageDir === 'rtl') return pageDir;
 
-      return {
-        element: toast,
-        dismiss: () => this.removeToast(toast),
-        update: (newMessage, newOpts) => this.updateToast(toast, newMessage, newOpts)
-      };
-    } catch (error) {
-      console.error('ToastifyPro: Failed to create custom toast:', error);
-    }
+    return rtlLanguages.includes(this.resolveLocale().split('-')[0]) ? 'rtl' : 'ltr';
   }
 
   /**
@@ -1907,8 +4779,15 @@ class ToastifyPro {
    * @param {string} message - Main confirmation question
    * @param {string|Function|Object} descriptionOrCallback - Description text, callback function, or options object
    * @param {Function} callback - Callback function (if description provided)
+   * @returns {Object} Control object with element, setLoading and close; awaiting it gives
+   * true once confirmed, false once cancelled or closed (and false right away where there's no DOM)
    */
   conf(message, descriptionOrCallback, callback) {
+    // No DOM (SSR): nothing can be confirmed, so the dialog counts as cancelled
+    if (!this.initDOM()) {
+      return thenableControl({ element: null, setLoading() {}, close() {} }, Promise.resolve(false));
+    }
+
     // Check if there's already an active confirmation (GLOBAL CHECK)
     if (globalActiveConfirmation && globalActiveConfirmation.element && globalActiveConfirmation.element.parentNode) {
       // Trigger shake animation on existing confirmation toast element
@@ -1928,6 +4807,10 @@ class ToastifyPro {
       return globalActiveConfirmation;
     }
     
+    // Outcome the control resolves with - the first settle() wins
+    let settle;
+    const outcome = new Promise(resolve => { settle = resolve; });
+
     // Parse arguments to support multiple usage patterns
     let description = '';
     let options = {};
@@ -1967,9 +4850,9 @@ class ToastifyPro {
     const confirmOptions = {
       timeout: 0, // No auto-dismiss for confirmations
       allowClose: false, // No close button, must choose
-      confirmText: options.confirmText || 'Confirm',
-      cancelText: options.cancelText || 'Cancel',
-      theme: options.theme || options.color || 'dark', // Support both theme and color for backward compatibility
+      confirmText: options.confirmText || this.translate('confirm'),
+      cancelText: options.cancelText || this.translate('cancel'),
+      theme: options.theme || options.color || this.defaultOptions.appearance, // Support both theme and color for backward compatibility
       position: options.position || 'center', // Default to center for confirmations
       primaryColor: options.primaryColor || null,
       secondaryColor: options.secondaryColor || null,
@@ -1978,6 +4861,7 @@ class ToastifyPro {
     };
 
     // Validate and set theme to only dark or light
+    confirmOptions.theme = this.resolveAppearance(confirmOptions.theme);
     if (confirmOptions.theme === 'light' || confirmOptions.theme === 'white') {
       confirmOptions.theme = 'light';
     } else {
@@ -2009,17 +4893,12 @@ class ToastifyPro {
     }
 
     // Get or create container for the specified position
-    let confirmContainer = document.querySelector(`.toastify-pro-container.${confirmOptions.position}`);
-    
-    if (!confirmContainer) {
-      try {
-        confirmContainer = document.createElement("div");
-        confirmContainer.className = `toastify-pro-container ${confirmOptions.position}`;
-        document.body.appendChild(confirmContainer);
-      } catch (error) {
-        console.warn('ToastifyPro: Failed to create confirmation container. Using default container.');
-        confirmContainer = this.container;
-      }
+    let confirmContainer;
+    try {
+      confirmContainer = this.getContainer(confirmOptions.position);
+    } catch (error) {
+      console.warn('ToastifyPro: Failed to create confirmation container. Using default container.');
+      confirmContainer = this.container;
     }
 
     // Create control functions for loading state
@@ -2035,7 +4914,7 @@ class ToastifyPro {
     const createOverlay = () => {
       overlayElement = document.createElement("div");
       overlayElement.className = "toastify-pro-overlay";
-      document.body.appendChild(overlayElement);
+      this.mountNode.appendChild(overlayElement);
       
       // Trigger show animation
       setTimeout(() => {
@@ -2084,6 +4963,7 @@ class ToastifyPro {
     };
     
     const closeConfirmation = () => {
+      settle(false);
       if (toastElement && toastElement.parentNode) {
         globalActiveConfirmation = null;
         removeOverlay(); // Remove the overlay when closing
@@ -2094,6 +4974,8 @@ class ToastifyPro {
     // Helper function to handle confirmation result
     const handleConfirmation = async (confirmed) => {
       if (confirmed) {
+        settle(true);
+        this.emit('confirm', { element: toastElement, message });
         // Call onConfirm if provided
         if (options.onConfirm && typeof options.onConfirm === 'function') {
           try {
@@ -2152,6 +5034,8 @@ class ToastifyPro {
       } else {
         // Cancel - no loading needed, check if not currently loading
         if (isLoading) return; // Don't allow cancel while loading
+
+        this.emit('cancel', { element: toastElement, message });
         
         // Call onCancel if provided
         if (options.onCancel && typeof options.onCancel === 'function') {
@@ -2210,7 +5094,7 @@ class ToastifyPro {
       closeBtn.className = "conf-close-btn";
       closeBtn.innerHTML = "&times;";
       closeBtn.setAttribute('type', 'button');
-      closeBtn.setAttribute('aria-label', 'Cancel confirmation');
+      closeBtn.setAttribute('aria-label', this.translate('closeConfirmation'));
       closeBtn.onclick = () => {
         if (!isLoading) {
           handleConfirmation(false);
@@ -2343,11 +5227,11 @@ class ToastifyPro {
       confirmContainer.appendChild(toast);
       
       // Create control object
-      const controlObject = {
+      const controlObject = thenableControl({
         element: toast,
         setLoading: setLoading,
         close: closeConfirmation
-      };
+      }, outcome);
       
       // Store as global active confirmation (with control object)
       globalActiveConfirmation = controlObject;
@@ -2370,7 +5254,7 @@ class ToastifyPro {
       }
       
       // Store previously focused element for restoration
-      const previouslyFocused = document.activeElement;
+      const previouslyFocused = this.styleRoot.activeElement || this.ownerDocument.activeElement;
       
       // Focus trap for confirmation dialog
       const focusableElements = [cancelBtn, confirmBtn, closeBtn].filter(Boolean);
@@ -2388,12 +5272,12 @@ class ToastifyPro {
         }
       };
       
-      document.addEventListener('keydown', handleTabKey);
+      this.ownerDocument.addEventListener('keydown', handleTabKey);
       
       // Store cleanup function
       const originalClose = closeConfirmation;
       const cleanupAndClose = () => {
-        document.removeEventListener('keydown', handleTabKey);
+        this.ownerDocument.removeEventListener('keydown', handleTabKey);
         // Restore focus to previously focused element
         if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
           setTimeout(() => previouslyFocused.focus(), 100);
@@ -2422,6 +5306,8 @@ class ToastifyPro {
       return controlObject;
     } catch (error) {
       console.error('ToastifyPro: Failed to create confirmation toast:', error);
+      settle(false);
+      return thenableControl({ element: null, setLoading() {}, close() {} }, outcome);
     }
   }
 
@@ -2440,20 +5326,21 @@ class ToastifyPro {
    * @param {string} message - Main prompt question
    * @param {string|Function|Object} descriptionOrCallback - Description text, callback function, or options object
    * @param {Function} callback - Callback function (if description provided)
-   * @returns {Object} Control object with element, close, setValue, getValue methods
+   * @returns {Object} Control object with element, close, setValue, getValue methods; awaiting it
+   * gives the submitted value, or null once cancelled or closed (and null right away where there's no DOM)
    * 
    * Options object:
    * - description: {string} Optional description text
-   * - placeholder: {string} Input placeholder text (default: 'Enter your response...')
-   * - submitText: {string} Submit button text (default: 'Submit')
-   * - cancelText: {string} Cancel button text (default: 'Cancel')
+   * - placeholder: {string} Input placeholder text (default: 'Enter your response...', in the instance's locale)
+   * - submitText: {string} Submit button text (default: 'Submit', in the instance's locale)
+   * - cancelText: {string} Cancel button text (default: 'Cancel', in the instance's locale)
    * - defaultValue: {string} Default input value
    * - required: {boolean} Whether input is required (default: true)
    * - type: {string} Input type: 'text', 'email', 'number', 'password', 'url' (default: 'text')
    * - validate: {Function} Custom validation function (receives value, returns true or error string)
    * - onSubmit: {Function} Called when user submits (receives value, control object)
    * - onCancel: {Function} Called when user cancels
-   * - theme: {string} Toast theme: 'dark' or 'light' (default: 'dark')
+   * - theme: {string} Toast theme: 'dark', 'light' or 'auto' (default: the appearance option)
    * - position: {string} Override default position
    * - overlay: {boolean} Show overlay behind toast (default: true)
    * - primaryColor: {string} Custom primary color
@@ -2476,6 +5363,16 @@ class ToastifyPro {
    * });
    */
   input(message, descriptionOrCallback, callback) {
+    // No DOM (SSR): nothing can be entered, so the prompt counts as cancelled
+    if (!this.initDOM()) {
+      return thenableControl(createDetachedInputControl(), Promise.resolve(null));
+    }
+
+    // Outcome the control resolves with once the prompt closes
+    let settle;
+    const outcome = new Promise(resolve => { settle = resolve; });
+    let submittedValue = null;
+
     try {
       // Parse arguments like confirm method
       let description = '';
@@ -2500,15 +5397,15 @@ class ToastifyPro {
 
       // Default options
       const inputOptions = {
-        placeholder: options.placeholder || 'Enter your response...',
-        submitText: options.submitText || 'Submit',
-        cancelText: options.cancelText || 'Cancel',
+        placeholder: options.placeholder || this.translate('inputPlaceholder'),
+        submitText: options.submitText || this.translate('submit'),
+        cancelText: options.cancelText || this.translate('cancel'),
         defaultValue: options.defaultValue || '',
         required: options.required !== false, // default true
         type: options.type || 'text',
         validate: options.validate || null,
         onCancel: options.onCancel || null,
-        theme: options.theme || 'dark',
+        theme: this.resolveAppearance(options.theme || this.defaultOptions.appearance),
         position: options.position || this.defaultOptions.position,
         overlay: options.overlay !== false, // default true
         primaryColor: options.primaryColor || null,
@@ -2522,26 +5419,15 @@ class ToastifyPro {
       }
 
       // Create or get container for the specified position
-      let inputContainer;
       const positionClass = inputOptions.position.replace(' ', '-');
-      const existingContainer = document.querySelector(
-        `.toastify-pro-container.${positionClass}`
-      );
-      
-      if (existingContainer) {
-        inputContainer = existingContainer;
-      } else {
-        inputContainer = document.createElement("div");
-        inputContainer.className = `toastify-pro-container ${positionClass}`;
-        document.body.appendChild(inputContainer);
-      }
+      const inputContainer = this.getContainer(positionClass);
 
       // Create overlay if enabled
       let overlay = null;
       if (inputOptions.overlay) {
         overlay = document.createElement("div");
         overlay.className = "toastify-pro-overlay";
-        document.body.appendChild(overlay);
+        this.mountNode.appendChild(overlay);
         setTimeout(() => overlay.classList.add("visible"), 10);
       }
 
@@ -2620,6 +5506,7 @@ class ToastifyPro {
       const closeInput = () => {
         if (isClosed) return;
         isClosed = true;
+        settle(submittedValue);
 
         // Remove overlay
         if (overlay) {
@@ -2648,14 +5535,14 @@ class ToastifyPro {
         }
 
         // Cleanup keyboard handler
-        document.removeEventListener('keydown', handleKeyDown);
+        this.ownerDocument.removeEventListener('keydown', handleKeyDown);
       };
 
       // Validate input
       const validateInput = (value) => {
         // Required check
         if (inputOptions.required && !value.trim()) {
-          return 'This field is required';
+          return this.translate('required');
         }
 
         // Type-specific validation
@@ -2663,17 +5550,17 @@ class ToastifyPro {
           if (inputOptions.type === 'email') {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             if (!emailRegex.test(value)) {
-              return 'Please enter a valid email address';
+              return this.translate('invalidEmail');
             }
           } else if (inputOptions.type === 'url') {
             try {
               new URL(value);
             } catch {
-              return 'Please enter a valid URL';
+              return this.translate('invalidUrl');
             }
           } else if (inputOptions.type === 'number') {
             if (isNaN(Number(value))) {
-              return 'Please enter a valid number';
+              return this.translate('invalidNumber');
             }
           }
         }
@@ -2720,6 +5607,8 @@ class ToastifyPro {
         }
 
         clearError();
+        submittedValue = value;
+        this.emit('inputSubmit', { element: toast, message, value });
 
         if (resultCallback) {
           const result = resultCallback(value, { setLoading, close: closeInput, setValue: (v) => inputElement.value = v });
@@ -2734,6 +5623,7 @@ class ToastifyPro {
               }
             } catch (err) {
               setLoading(false);
+              submittedValue = null;
               if (err && typeof err === 'string') {
                 showError(err);
               } else if (err && err.message) {
@@ -2752,6 +5642,7 @@ class ToastifyPro {
       const handleCancel = () => {
         if (isLoading || isClosed) return;
         
+        this.emit('inputCancel', { element: toast, message });
         if (inputOptions.onCancel) {
           inputOptions.onCancel();
         }
@@ -2759,7 +5650,7 @@ class ToastifyPro {
       };
 
       // Store previously focused element
-      const previouslyFocused = document.activeElement;
+      const previouslyFocused = this.styleRoot.activeElement || this.ownerDocument.activeElement;
 
       // Keyboard handler
       const handleKeyDown = (e) => {
@@ -2773,7 +5664,7 @@ class ToastifyPro {
         }
       };
 
-      document.addEventListener('keydown', handleKeyDown);
+      this.ownerDocument.addEventListener('keydown', handleKeyDown);
 
       // Build toast content
       // Header with icon and content
@@ -2932,7 +5823,7 @@ class ToastifyPro {
       }, 10);
 
       // Return control object
-      return {
+      return thenableControl({
         element: toast,
         close: closeInput,
         setLoading,
@@ -2940,9 +5831,11 @@ class ToastifyPro {
         setValue: (value) => { inputElement.value = value; },
         setError: showError,
         clearError
-      };
+      }, outcome);
     } catch (error) {
       console.error('ToastifyPro: Failed to create input toast:', error);
+      settle(null);
+      return thenableControl(createDetachedInputControl(), outcome);
     }
   }
 
@@ -2955,6 +5848,219 @@ class ToastifyPro {
   prompt(message, descriptionOrCallback, callback) {
     return this.input(message, descriptionOrCallback, callback);
   }
+
+  /**
+   * Stores a toast to be shown on the next page, e.g. right before a redirect.
+   * It is displayed by the first ToastifyPro instance created there.
+   * @param {string} message - Main message text
+   * @param {string} type - Toast type (default: 'info')
+   * @param {Object} opts - Optional { description, timeout, priority }
+   * @returns {boolean} Whether the message was stored
+   * 
+   * @example
+   * ToastifyPro.flash('Settings saved', 'success');
+   * window.location.href = '/dashboard';
+   */
+  static flash(message, type = 'info', opts = {}) {
+    if (typeof sessionStorage === 'undefined') {
+      console.warn('ToastifyPro: flash() requires sessionStorage.');
+      return false;
+    }
+
+    if (typeof opts === 'string') {
+      opts = { description: opts };
+    }
+    opts = opts || {};
+
+    try {
+      const stored = sessionStorage.getItem(flashStorageKey);
+      const entries = stored ? JSON.parse(stored) : [];
+      entries.push({
+        message: String(message),
+        type,
+        description: opts.description || '',
+        priority: opts.priority,
+        remainingTime: typeof opts.timeout === 'number' ? opts.timeout : null
+      });
+      sessionStorage.setItem(flashStorageKey, JSON.stringify(entries));
+      return true;
+    } catch (error) {
+      console.warn('ToastifyPro: Failed to store flash message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Sets how stylesheets are added before any instance exists, e.g. so that
+   * setTheme() and registerType() sheets get the CSP nonce. Takes the
+   * injectStyles and styleNonce constructor options; sheets already added are re-added.
+   * @param {Object} options - { injectStyles, styleNonce }
+   * 
+   * @example
+   * ToastifyPro.configureStyles({ styleNonce: 'r4nd0m' });
+   * ToastifyPro.setTheme({ radius: '8px' });
+   */
+  static configureStyles(options = {}) {
+    if (typeof options !== 'object' || options === null) {
+      console.warn('ToastifyPro: configureStyles() expects an object of options.');
+      return;
+    }
+
+    let { injectStyles, styleNonce } = options;
+    if (injectStyles !== undefined && ![true, false, 'adopted'].includes(injectStyles)) {
+      console.warn(`ToastifyPro: Invalid injectStyles "${injectStyles}". Ignoring it.`);
+      injectStyles = undefined;
+    }
+    if (styleNonce !== undefined && styleNonce !== null && typeof styleNonce !== 'string') {
+      console.warn('ToastifyPro: Invalid styleNonce (expected a string). Ignoring it.');
+      styleNonce = null;
+    }
+    applyStyleSettings({ injectStyles, styleNonce });
+  }
+
+  /**
+   * Sets design tokens (CSS custom properties) for all toasts at runtime.
+   * Keys may be camelCase token names ('radius', 'successBg') or full
+   * property names ('--toastify-radius'); null removes a token.
+   * @param {Object} tokens - Token values, e.g. { radius: '8px', fontFamily: 'system-ui' }
+   * @returns {Object} All tokens currently set
+   * 
+   * @example
+   * ToastifyPro.setTheme({ radius: '8px', successBg: '#16a34a', shadow: 'none' });
+   */
+  static setTheme(tokens = {}) {
+    if (typeof tokens !== 'object' || tokens === null) {
+      console.warn('ToastifyPro: setTheme() expects an object of tokens.');
+      return { ...themeTokens };
+    }
+
+    Object.keys(tokens).forEach(key => {
+      const name = key.startsWith('--')
+        ? key
+        : `--toastify-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+      const value = tokens[key];
+      if (value === null || value === undefined || value === '') {
+        delete themeTokens[name];
+      } else {
+        themeTokens[name] = String(value);
+      }
+    });
+
+    const declarations = Object.keys(themeTokens).map(name => `  ${name}: ${themeTokens[name]};`);
+    writeSharedStyleSheet('toastify-pro-theme', `:root, :host {\n${declarations.join('\n')}\n}`);
+
+    return { ...themeTokens };
+  }
+
+  /**
+   * Registers a custom toast type usable with show(), update({ type }) and dismissAll(),
+   * and adds a shortcut method of the same name (e.g. toast.billing('Invoice paid')).
+   * Registering an existing custom type again replaces its config.
+   * @param {string} name - Type name (letters, digits and dashes, starting with a letter)
+   * @param {Object} config - Type configuration
+   * @param {string} config.icon - SVG markup for the icon (default: info icon)
+   * @param {string} config.background - CSS background of the toast
+   * @param {string} config.textColor - Text color
+   * @param {string} config.progressColor - Progress bar color
+   * @param {string} config.role - ARIA role: 'status' (default) or 'alert'
+   * @param {string} config.ariaLive - Default aria-live value: 'polite' or 'assertive'
+   * @param {number} config.timeout - Default timeout for this type (0 to disable)
+   * @returns {boolean} Whether the type was registered
+   * 
+   * @example
+   * ToastifyPro.registerType('billing', {
+   *   icon: '<svg ...>...</svg>',
+   *   background: 'linear-gradient(135deg, #7c3aed, #4c1d95)',
+   *   timeout: 8000
+   * });
+   * toast.billing('Invoice paid', 'Receipt sent to your email');
+   */
+  static registerType(name, config = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(name)) {
+      console.warn(`ToastifyPro: Invalid type name "${name}". Use letters, digits and dashes.`);
+      return false;
+    }
+
+    // Built-in types, internal state classes and existing methods (show, custom, ...) can't be overridden
+    if (!customTypes[name] && (builtInTypes.includes(name) || reservedTypeNames.includes(name) ||
+      name in ToastifyPro.prototype)) {
+      console.warn(`ToastifyPro: Type name "${name}" is reserved.`);
+      return false;
+    }
+
+    if (typeof config !== 'object' || config === null) {
+      console.warn('ToastifyPro: Invalid type config. Using defaults.');
+      config = {};
+    }
+
+    customTypes[name] = {
+      icon: config.icon || null,
+      background: config.background || null,
+      textColor: config.textColor || null,
+      progressColor: config.progressColor || null,
+      role: config.role === 'alert' ? 'alert' : 'status',
+      ariaLive: config.ariaLive || null,
+      timeout: typeof config.timeout === 'number' ? config.timeout : null
+    };
+
+    // Shortcut method, same signature as success()/error()/...
+    if (!Object.prototype.hasOwnProperty.call(ToastifyPro.prototype, name)) {
+      ToastifyPro.prototype[name] = function(msg, opts) {
+        if (typeof opts === 'string') {
+          opts = { description: opts };
+        }
+        return this.show(msg, name, opts);
+      };
+    }
+
+    // Generate the type's CSS (kept in one stylesheet for all registered types)
+    const css = Object.keys(customTypes).map(typeName => {
+      const type = customTypes[typeName];
+      const rules = [];
+      if (type.background || type.textColor) {
+        rules.push(`.toastify-pro.${typeName} {${type.background ? ` background: ${type.background};` : ''}${type.textColor ? ` color: ${type.textColor};` : ''} }`);
+      }
+      if (type.progressColor) {
+        rules.push(`.toastify-pro.${typeName}::after { background: ${type.progressColor}; }`);
+      }
+      return rules.join('\n');
+    }).join('\n');
+    writeSharedStyleSheet('toastify-pro-type-styles', css);
+
+    return true;
+  }
+
+  /**
+   * Adds translations for a locale, or overrides bundled ones. Keys missing from
+   * the messages fall back to English (see the locale and messages options).
+   * @param {string} locale - Locale code, e.g. 'it' or 'pt-BR' (a region falls back to its language)
+   * @param {Object} messages - Strings by key, e.g. { confirm: 'Conferma', cancel: 'Annulla' }
+   * @returns {boolean} Whether the locale was registered
+   *
+   * @example
+   * ToastifyPro.registerLocale('it', { confirm: 'Conferma', cancel: 'Annulla', close: 'Chiudi notifica' });
+   * const toast = new ToastifyPro({ locale: 'it' });
+   */
+  static registerLocale(locale, messages) {
+    if (typeof locale !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(locale)) {
+      console.warn(`ToastifyPro: Invalid locale "${locale}". Use a code like "it" or "pt-BR".`);
+      return false;
+    }
+    if (typeof messages !== 'object' || messages === null) {
+      console.warn('ToastifyPro: Invalid locale messages (expected an object of strings by key).');
+      return false;
+    }
+
+    const key = locale.toLowerCase();
+    const strings = {};
+    Object.keys(messages).forEach(name => {
+      if (typeof messages[name] === 'string') {
+        strings[name] = messages[name];
+      }
+    });
+    translations[key] = { ...(translations[key] || {}), ...strings };
+    return true;
+  }
 }
 
 /**
@@ -0,0 +1,72 @@
+/**
+ * Type definitions for the ToastifyPro Vue plugin (toastify-pro/vue)
+ * Hand-maintained - keep in sync with src/vue.js
+ */
+
+import type { Component, InjectionKey, Plugin, Ref, VNode } from 'vue';
+import ToastifyPro from 'toastify-pro';
+
+export { ToastifyPro };
+
+/** Message or description: text, a VNode, or a component rendered with the app's context */
+export type ToastContent = string | VNode | Component;
+
+export interface VueToastOptions extends Omit<ToastifyPro.ToastOptions, 'description'> {
+  description?: ToastContent;
+}
+
+export interface VueToastUpdateOptions extends Omit<ToastifyPro.ToastUpdateOptions, 'description'> {
+  description?: ToastContent;
+}
+
+/** Signature of success(), error(), ... with Vue content */
+export type VueToastMethod = (message: ToastContent, opts?: string | VueToastOptions) => ToastifyPro.ToastHandle | null;
+
+/** Confirmation options whose loading state may be a ref, followed while the dialog is open */
+export interface VueConfirmOptions extends Omit<ToastifyPro.ConfirmOptions, 'loading'> {
+  loading?: boolean | Ref<boolean>;
+}
+
+export interface VueConfirm {
+  (message: string, callback?: ToastifyPro.ConfirmCallback): ToastifyPro.ConfirmControl;
+  (message: string, description: string, callback: ToastifyPro.ConfirmCallback): ToastifyPro.ConfirmControl;
+  (message: string, options: VueConfirmOptions, callback?: ToastifyPro.ConfirmCallback): ToastifyPro.ConfirmControl;
+  (message: string, description: string, options: VueConfirmOptions): ToastifyPro.ConfirmControl;
+}
+
+export interface ToastApi {
+  /** The app's ToastifyPro instance */
+  instance: ToastifyPro;
+  show(message: ToastContent, type?: ToastifyPro.ToastType, opts?: string | VueToastOptions): ToastifyPro.ToastHandle | null;
+  success: VueToastMethod;
+  error: VueToastMethod;
+  info: VueToastMethod;
+  warning: VueToastMethod;
+  dark: VueToastMethod;
+  light: VueToastMethod;
+  custom: ToastifyPro['custom'];
+  promise: ToastifyPro['promise'];
+  conf: VueConfirm;
+  confirm: VueConfirm;
+  input: ToastifyPro['input'];
+  update(id: string, message?: ToastContent | null, opts?: VueToastUpdateOptions): ToastifyPro.ToastHandle | null;
+  dismiss(id: string): boolean;
+  dismissAll(type?: ToastifyPro.ToastType | null): void;
+  on: ToastifyPro['on'];
+}
+
+/** Injection key of the toast API */
+export const ToastifyProKey: InjectionKey<ToastApi>;
+
+/** app.use(ToastifyProPlugin, options) */
+export const ToastifyProPlugin: Plugin<[ToastifyPro.ToastifyProOptions?]>;
+export default ToastifyProPlugin;
+
+/** Toast API provided by ToastifyProPlugin (throws without it) */
+export function useToast(): ToastApi;
+
+declare module 'vue' {
+  interface ComponentCustomProperties {
+    $toast: ToastApi;
+  }
+}
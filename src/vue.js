@@ -0,0 +1,256 @@
+/**
+ * ToastifyPro Vue 3 plugin - import from 'toastify-pro/vue'
+ *
+ * - app.use(ToastifyProPlugin, options) provides one ToastifyPro instance to the app
+ * - useToast() (composition API) and this.$toast (options API) expose its toast methods
+ * - conf() accepts a ref as its loading option and follows it while open
+ * - VNodes and components can be used as message and description: they are
+ *   rendered into the toast nodes created by show() with the app's context
+ *
+ * @example
+ * app.use(ToastifyProPlugin, { position: 'top-right' });
+ *
+ * const toast = useToast();
+ * toast.success(h('span', ['Saved ', h('b', 'report.pdf')]));
+ */
+
+import { cloneVNode, h, inject, isRef, isVNode, render, unref, watch } from 'vue';
+import ToastifyPro from 'toastify-pro';
+
+/** Injection key of the toast API provided by the plugin */
+export const ToastifyProKey = Symbol('toastify-pro');
+
+// Text placed in the toast while its Vue content is rendered in (show() needs a non-empty message)
+const placeholderText = '\u200b';
+
+// Counter for IDs of toasts with Vue content (shared across apps)
+let vueToastCounter = 0;
+
+/**
+ * Checks whether toast content is a component definition rather than text
+ * @param {*} content - Message or description
+ * @returns {boolean}
+ */
+function isComponent(content) {
+  if (typeof content === 'function') return true;
+  return !!content && typeof content === 'object' && !isVNode(content) &&
+    (typeof content.setup === 'function' || typeof content.render === 'function' || typeof content.template === 'string');
+}
+
+/**
+ * Converts Vue toast content (a VNode or a component) to a VNode
+ * @param {*} content - Message or description
+ * @returns {Object|null} VNode, or null for text content
+ */
+function toVNode(content) {
+  if (isVNode(content)) return content;
+  if (isComponent(content)) return h(content);
+  return null;
+}
+
+/**
+ * Creates the toast API of an app around a ToastifyPro instance
+ * @param {ToastifyPro} instance - Instance shared by the app
+ * @param {Object} app - Vue app (its context is given to rendered content)
+ * @returns {Object} Toast API
+ */
+function createToastApi(instance, app) {
+  // Vue content of toasts that have not been shown yet (e.g. still queued)
+  const pendingContent = {};
+  // Containers with rendered Vue content, by toast ID
+  const mounted = {};
+
+  const unmountContent = (id) => {
+    (mounted[id] || []).forEach(node => render(null, node));
+    delete mounted[id];
+  };
+
+  /**
+   * Renders pending Vue content into a toast element. Content goes into its own
+   * span, so the library resetting the node's text on update can't break Vue.
+   */
+  const attachContent = (id, element) => {
+    const content = pendingContent[id];
+    // Custom renderers (renderer option) don't mount DOM elements
+    if (!content || !element || typeof element.querySelector !== 'function') return;
+    delete pendingContent[id];
+    unmountContent(id);
+
+    const nodes = [];
+    [['message', '.toast-message'], ['description', '.toast-description']].forEach(([field, selector]) => {
+      const node = element.querySelector(selector);
+      if (!content[field] || !node) return;
+      const mount = element.ownerDocument.createElement('span');
+      node.textContent = '';
+      node.appendChild(mount);
+
+      // Render a copy: the caller's VNode may be shown in other toasts or reused later
+      const vnode = cloneVNode(content[field]);
+      vnode.appContext = app._context;
+      render(vnode, mount);
+      nodes.push(mount);
+    });
+    mounted[id] = nodes;
+  };
+
+  // Toasts may be shown (or leave the queue) at any time, so attach content on 'show'
+  instance.on('show', ({ id, element }) => attachContent(id, element));
+
+  // Keep the content through the exit animation, unmount it once the element is gone
+  instance.on('removed', ({ id }) => {
+    delete pendingContent[id];
+    unmountContent(id);
+  });
+
+  /**
+   * Shows a toast whose message and/or description may be VNodes or components
+   */
+  const show = (message, type, opts = {}) => {
+    if (typeof opts === 'string') {
+      opts = { description: opts };
+    }
+    opts = opts || {};
+
+    const messageNode = toVNode(message);
+    const descriptionNode = toVNode(opts.description);
+    if (!messageNode && !descriptionNode) {
+      return instance.show(message, type, opts);
+    }
+
+    // Register the content under a known ID before show() emits 'show'
+    const id = opts.id != null ? String(opts.id) : `toast-vue-${++vueToastCounter}`;
+    pendingContent[id] = { message: messageNode, description: descriptionNode };
+
+    const handle = instance.show(messageNode ? placeholderText : message, type, {
+      ...opts,
+      id,
+      description: descriptionNode ? placeholderText : opts.description,
+      // Placeholder text would make every Vue toast look like a duplicate
+      dedupeKey: opts.dedupeKey || `vue:${id}`
+    });
+
+    if (!handle) {
+      delete pendingContent[id];
+    } else {
+      // A toast with this ID was already showing and got updated in place (no 'show' event)
+      attachContent(id, handle.element);
+    }
+    return handle;
+  };
+
+  /**
+   * Updates a toast by ID; message and description may be VNodes or components
+   */
+  const update = (id, message, opts = {}) => {
+    opts = opts || {};
+    const messageNode = toVNode(message);
+    const descriptionNode = toVNode(opts.description);
+    if (!messageNode && !descriptionNode) {
+      return instance.update(id, message, opts);
+    }
+
+    const handle = instance.get(id);
+    if (!handle) return null;
+
+    pendingContent[handle.id] = { message: messageNode, description: descriptionNode };
+    handle.update(messageNode ? placeholderText : message, {
+      ...opts,
+      description: descriptionNode ? placeholderText : opts.description
+    });
+    // Queued toasts get their content on 'show'
+    attachContent(handle.id, handle.element);
+    return handle;
+  };
+
+  /**
+   * Confirmation dialog (see ToastifyPro#conf) whose loading option may be a ref
+   */
+  const conf = (message, descriptionOrCallback, callback) => {
+    const args = [descriptionOrCallback, callback];
+    const optionsIndex = args.findIndex(arg => arg && typeof arg === 'object');
+    const loading = optionsIndex !== -1 ? args[optionsIndex].loading : undefined;
+    if (!isRef(loading)) {
+      return instance.conf(message, descriptionOrCallback, callback);
+    }
+
+    args[optionsIndex] = { ...args[optionsIndex], loading: unref(loading) };
+    const control = instance.conf(message, args[0], args[1]);
+    // An already open confirmation was returned (and shaken) - leave it alone
+    if (!control.element || control.element.classList.contains('shake')) {
+      return control;
+    }
+
+    const stop = watch(loading, (value) => {
+      if (!control.element.isConnected) {
+        stop();
+        return;
+      }
+      control.setLoading(!!value);
+    });
+    const close = control.close;
+    control.close = () => {
+      stop();
+      close();
+    };
+    return control;
+  };
+
+  const typed = (type) => (message, opts) => show(message, type, opts);
+
+  return {
+    instance,
+    show,
+    success: typed('success'),
+    error: typed('error'),
+    info: typed('info'),
+    warning: typed('warning'),
+    dark: typed('dark'),
+    light: typed('light'),
+    custom: (message, opts) => instance.custom(message, opts),
+    promise: (promise, messages, opts) => instance.promise(promise, messages, opts),
+    conf,
+    confirm: conf,
+    input: (message, descriptionOrCallback, callback) => instance.input(message, descriptionOrCallback, callback),
+    update,
+    dismiss: (id) => instance.dismiss(id),
+    dismissAll: (type) => instance.dismissAll(type),
+    on: (event, handler) => instance.on(event, handler)
+  };
+}
+
+/**
+ * Vue plugin: app.use(ToastifyProPlugin, options)
+ * Options are passed to the ToastifyPro constructor
+ */
+export const ToastifyProPlugin = {
+  install(app, options) {
+    // Constructing has no DOM side effects, so this is safe during server rendering
+    const api = createToastApi(new ToastifyPro(options), app);
+    app.provide(ToastifyProKey, api);
+    app.config.globalProperties.$toast = api;
+
+    // In the browser, restore persisted toasts, mount the history bell and join the broadcast channel now
+    api.instance.init();
+
+    // Vue 3.5+: remove the app's toasts and listeners along with it
+    if (typeof app.onUnmount === 'function') {
+      app.onUnmount(() => api.instance.destroy());
+    }
+  }
+};
+
+/**
+ * Returns the toast API provided by ToastifyProPlugin
+ * @returns {Object} { success, error, info, warning, dark, light, show, custom, promise,
+ *   conf, confirm, input, update, dismiss, dismissAll, on, instance }
+ */
+export function useToast() {
+  const api = inject(ToastifyProKey, null);
+  if (!api) {
+    throw new Error('ToastifyPro: useToast() must be used in an app that installed ToastifyProPlugin.');
+  }
+  return api;
+}
+
+export { ToastifyPro };
+export default ToastifyProPlugin;